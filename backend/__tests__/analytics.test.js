@@ -0,0 +1,95 @@
+/**
+ * How the time-series analytics split a range into weekly or monthly
+ * buckets. Buckets are UTC: weeks start on Monday, months on the 1st.
+ */
+
+const { bucketStart, analyticsRange, schemas } = require('../server');
+
+const utc = (iso) => new Date(`${iso}Z`);
+
+describe('bucketStart', () => {
+  test.each([
+    ['2024-01-01T00:00:00', '2024-01-01T00:00:00'],
+    ['2024-01-07T23:59:59.999', '2024-01-01T00:00:00'],
+    ['2024-01-08T00:00:00', '2024-01-08T00:00:00'],
+    ['2023-12-31T12:00:00', '2023-12-25T00:00:00'],
+    ['2025-01-01T08:00:00', '2024-12-30T00:00:00']
+  ])('puts %s in the week starting %s', (date, start) => {
+    expect(bucketStart(utc(date), 'week')).toEqual(utc(start));
+  });
+
+  test.each([
+    ['2024-02-29T23:59:59.999', '2024-02-01T00:00:00'],
+    ['2024-03-01T00:00:00', '2024-03-01T00:00:00'],
+    ['2024-12-31T23:59:59.999', '2024-12-01T00:00:00'],
+    ['2025-01-01T00:00:00', '2025-01-01T00:00:00']
+  ])('puts %s in the month starting %s', (date, start) => {
+    expect(bucketStart(utc(date), 'month')).toEqual(utc(start));
+  });
+
+  test('buckets by the UTC date, whatever offset the date was given in', () => {
+    // Early on the 1st in UTC+2 is still the last day of the month in UTC
+    expect(bucketStart(new Date('2024-03-01T00:30:00+02:00'), 'month')).toEqual(utc('2024-02-01T00:00:00'));
+    // and late Sunday in UTC-5 is already Monday
+    expect(bucketStart(new Date('2024-01-07T22:00:00-05:00'), 'week')).toEqual(utc('2024-01-08T00:00:00'));
+  });
+});
+
+describe('analyticsRange', () => {
+  test('defaults to the 12 buckets up to now', () => {
+    jest.useFakeTimers({ now: utc('2024-03-15T10:00:00') });
+    try {
+      const range = analyticsRange({ bucket: 'month' });
+      expect(range.buckets).toHaveLength(12);
+      expect(range.buckets[0]).toEqual(utc('2023-04-01T00:00:00'));
+      expect(range.buckets[11]).toEqual(utc('2024-03-01T00:00:00'));
+      expect(range.to).toEqual(utc('2024-03-15T10:00:00'));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('starts at the bucket holding `from` and ends at the one holding `to`', () => {
+    const range = analyticsRange({ from: utc('2024-01-31T00:00:00'), to: utc('2024-03-01T00:00:00'), bucket: 'month' });
+    expect(range.buckets).toEqual([utc('2024-01-01T00:00:00'), utc('2024-02-01T00:00:00'), utc('2024-03-01T00:00:00')]);
+  });
+
+  test('maps dates to their bucket and ignores dates outside the range', () => {
+    const range = analyticsRange({ from: utc('2024-01-03T00:00:00'), to: utc('2024-01-20T00:00:00'), bucket: 'week' });
+    expect(range.buckets).toEqual([utc('2024-01-01T00:00:00'), utc('2024-01-08T00:00:00'), utc('2024-01-15T00:00:00')]);
+
+    expect(range.indexOf(utc('2024-01-03T00:00:00'))).toBe(0);
+    expect(range.indexOf(utc('2024-01-14T23:59:59.999'))).toBe(1);
+    expect(range.indexOf(utc('2024-01-15T00:00:00'))).toBe(2);
+    // In the first week, but before `from`
+    expect(range.indexOf(utc('2024-01-02T00:00:00'))).toBe(-1);
+    expect(range.indexOf(utc('2024-01-20T00:00:01'))).toBe(-1);
+    expect(range.indexOf(undefined)).toBe(-1);
+  });
+
+  test('refuses ranges of more than 104 buckets', () => {
+    const from = utc('2022-01-03T00:00:00');
+    expect(analyticsRange({ from, to: utc('2023-12-31T00:00:00'), bucket: 'week' }).buckets).toHaveLength(104);
+    expect(analyticsRange({ from, to: utc('2024-01-01T00:00:00'), bucket: 'week' })).toBeNull();
+    expect(analyticsRange({ from: utc('2000-01-01T00:00:00'), to: utc('2024-01-01T00:00:00'), bucket: 'month' })).toBeNull();
+  });
+});
+
+describe('analytics query validation', () => {
+  const { query } = schemas.analyticsSeries;
+
+  test('defaults to weekly buckets', () => {
+    expect(query.validate({}).value).toEqual({ bucket: 'week' });
+  });
+
+  test('requires `to` to be after `from`', () => {
+    const { error } = query.validate({ from: '2024-02-01', to: '2024-01-01' });
+    expect(error.details[0]).toMatchObject({ path: ['to'], message: '"to" must be after from' });
+    expect(query.validate({ from: '2024-01-01', to: '2024-01-01' }).error).toBeDefined();
+  });
+
+  test('rejects dates that are not ISO 8601 and unknown buckets', () => {
+    expect(query.validate({ from: '01/02/2024' }).error).toBeDefined();
+    expect(query.validate({ bucket: 'day' }).error).toBeDefined();
+  });
+});
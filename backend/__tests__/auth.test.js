@@ -0,0 +1,126 @@
+/**
+ * Two-factor authentication: the TOTP helpers against RFC 6238, and the login
+ * challenge against a real database.
+ */
+
+const request = require('supertest');
+
+process.env.MAIL_TRANSPORT = 'json';
+const { createServer, base32Encode, generateHotp, matchTotpStep } = require('../server');
+const { useTestDatabase } = require('./support/database');
+
+// The SHA-1 seed from RFC 6238 appendix B
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = 30 * 1000;
+
+const stepAt = (ms) => Math.floor(ms / STEP_MS);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('generateHotp', () => {
+  // The RFC lists 8-digit codes; ours are their last six digits
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('matches the RFC 6238 vector at T=%i', (seconds, code) => {
+    expect(generateHotp(RFC_SECRET, stepAt(seconds * 1000))).toBe(code);
+  });
+});
+
+describe('matchTotpStep', () => {
+  const now = 1111111111 * 1000;
+  const step = stepAt(now);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  test('accepts the current step and one either side', () => {
+    expect(matchTotpStep(RFC_SECRET, generateHotp(RFC_SECRET, step))).toBe(step);
+    expect(matchTotpStep(RFC_SECRET, generateHotp(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(matchTotpStep(RFC_SECRET, generateHotp(RFC_SECRET, step + 1))).toBe(step + 1);
+  });
+
+  test('refuses codes two steps away', () => {
+    expect(matchTotpStep(RFC_SECRET, generateHotp(RFC_SECRET, step - 2))).toBeNull();
+    expect(matchTotpStep(RFC_SECRET, generateHotp(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  test('refuses a step that was already used, and any before it', () => {
+    expect(matchTotpStep(RFC_SECRET, generateHotp(RFC_SECRET, step), step)).toBeNull();
+    expect(matchTotpStep(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), step)).toBeNull();
+    expect(matchTotpStep(RFC_SECRET, generateHotp(RFC_SECRET, step + 1), step)).toBe(step + 1);
+  });
+
+  test('ignores whitespace and refuses anything but six digits', () => {
+    const code = generateHotp(RFC_SECRET, step);
+    expect(matchTotpStep(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step);
+    expect(matchTotpStep(RFC_SECRET, code.slice(1))).toBeNull();
+    expect(matchTotpStep(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(matchTotpStep(RFC_SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('login with two-factor authentication', () => {
+  const suffix = Date.now().toString(36);
+  const account = { username: `totp-${suffix}`, email: `totp-${suffix}@example.com`, password: 'correct horse battery' };
+  let app;
+  let secret;
+  let recoveryCodes;
+  let enabledStep;
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    ({ app } = createServer());
+    const { body } = await request(app).post('/api/auth/register').send(account);
+    const as = { Authorization: `Bearer ${body.token}` };
+
+    ({ body: { secret } } = await request(app).post('/api/auth/2fa/setup').set(as));
+    enabledStep = stepAt(Date.now());
+    const code = generateHotp(secret, enabledStep);
+    ({ body: { recoveryCodes } } = await request(app).post('/api/auth/2fa/enable').set(as).send({ code }));
+  });
+
+  afterAll(() => app.locals.cache.close());
+
+  const challenge = async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: account.email, password: account.password });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ twoFactorRequired: true });
+    expect(res.body.token).toBeUndefined();
+    return res.body.challengeToken;
+  };
+
+  const verify = async (body) => request(app).post('/api/auth/2fa/verify').send({ challengeToken: await challenge(), ...body });
+
+  test('a password alone earns a challenge, not a session', async () => {
+    expect(await challenge()).toEqual(expect.any(String));
+  });
+
+  test('the code that enabled 2FA cannot be replayed to sign in', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(enabledStep * STEP_MS);
+    const res = await verify({ code: generateHotp(secret, enabledStep) });
+    expect(res.status).toBe(401);
+  });
+
+  test('a code from the next step signs in', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue((enabledStep + 1) * STEP_MS);
+    const res = await verify({ code: generateHotp(secret, enabledStep + 1) });
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  test('a recovery code signs in once', async () => {
+    const first = await verify({ recoveryCode: recoveryCodes[0].toUpperCase() });
+    expect(first.status).toBe(200);
+    expect(first.body.token).toEqual(expect.any(String));
+
+    const again = await verify({ recoveryCode: recoveryCodes[0] });
+    expect(again.status).toBe(401);
+  });
+});
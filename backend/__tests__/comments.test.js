@@ -0,0 +1,142 @@
+/**
+ * Comments: @mentions resolve to project members only (with user lookups
+ * stubbed), and a new comment notifies every other member once.
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+process.env.MAIL_TRANSPORT = 'json';
+const { createServer, resolveMentions } = require('../server');
+const { useTestDatabase } = require('./support/database');
+
+const account = (username) => ({ _id: new mongoose.Types.ObjectId(), username });
+const owner = account('olivia');
+const member = account('bob');
+const dotted = account('dev.ops.');
+const outsider = account('mallory');
+const project = {
+  owner: owner._id,
+  collaborators: [{ user: member._id, role: 'editor' }, { user: dotted._id, role: 'viewer' }]
+};
+
+const mentioned = async (body) => (await resolveMentions(project, body)).map(String);
+
+describe('resolveMentions', () => {
+  beforeEach(() => {
+    const accounts = [owner, member, dotted, outsider];
+    jest.spyOn(mongoose.model('User'), 'find').mockImplementation(({ username: { $in: names } }) => ({
+      select: () => Promise.resolve(accounts.filter((user) => names.includes(user.username)))
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('finds members mentioned anywhere in the body', async () => {
+    expect(await mentioned('@olivia can you review?\n\ncc @bob')).toEqual([String(owner._id), String(member._id)]);
+  });
+
+  test('ignores trailing punctuation', async () => {
+    expect(await mentioned('thanks @bob. And @olivia!')).toEqual([String(member._id), String(owner._id)]);
+    expect(await mentioned('(@bob), @bob-- and "@bob"?')).toEqual([String(member._id)]);
+  });
+
+  test('prefers an exact match for names ending in punctuation', async () => {
+    expect(await mentioned('ask @dev.ops. about it')).toEqual([String(dotted._id)]);
+  });
+
+  test('does not treat email addresses as mentions', async () => {
+    expect(await mentioned('mail bob@example.com or olivia@bob.dev')).toEqual([]);
+    expect(await mentioned('not @@bob either')).toEqual([]);
+  });
+
+  test('leaves unknown users and non-members out', async () => {
+    expect(await mentioned('@nobody and @mallory, meet @bob')).toEqual([String(member._id)]);
+  });
+
+  test('lists each member once and skips the lookup without mentions', async () => {
+    expect(await mentioned('@bob @bob. @bob')).toEqual([String(member._id)]);
+    expect(await mentioned('no mentions here')).toEqual([]);
+    expect(mongoose.model('User').find).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('POST /api/projects/:id/comments', () => {
+  const suffix = Date.now().toString(36);
+  const names = { owner: `owner-${suffix}`, editor: `editor-${suffix}`, viewer: `viewer-${suffix}` };
+  const auth = {};
+  let app;
+  let projectId;
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    ({ app } = createServer());
+    for (const username of Object.values(names)) {
+      const { body } = await request(app)
+        .post('/api/auth/register')
+        .send({ username, email: `${username}@example.com`, password: 'correct horse battery' });
+      auth[username] = { Authorization: `Bearer ${body.token}` };
+    }
+
+    const created = await request(app)
+      .post('/api/projects')
+      .set(auth[names.owner])
+      .send({ name: 'Discussed', description: 'Has comments', technology: 'Node.js' });
+    projectId = created.body._id;
+
+    for (const role of ['editor', 'viewer']) {
+      const invite = await request(app)
+        .post(`/api/projects/${projectId}/invitations`)
+        .set(auth[names.owner])
+        .send({ identifier: names[role], role });
+      await request(app).post(`/api/invitations/${invite.body._id}/accept`).set(auth[names[role]]);
+    }
+  });
+
+  afterAll(() => app.locals.cache.close());
+
+  // Notifications are sent after the response, so poll until `count` of them
+  // have arrived (or give up and return what there is)
+  const commentNotifications = async (username, count) => {
+    for (let attempt = 0; ; attempt++) {
+      const { body } = await request(app).get('/api/notifications').set(auth[username]);
+      const found = body.notifications.filter((notification) => ['comment', 'mention'].includes(notification.type));
+      if (found.length >= count || attempt === 20) return found;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  };
+
+  const post = (username, body, parentId) => request(app)
+    .post(`/api/projects/${projectId}/comments`)
+    .set(auth[username])
+    .send({ body, ...(parentId && { parentId }) });
+
+  test('a top-level comment notifies every other member, not its author', async () => {
+    const res = await post(names.editor, 'First thoughts');
+    expect(res.status).toBe(201);
+
+    for (const username of [names.owner, names.viewer]) {
+      expect(await commentNotifications(username, 1)).toEqual([
+        expect.objectContaining({ type: 'comment', message: `${names.editor} commented on Discussed` })
+      ]);
+    }
+    expect(await commentNotifications(names.editor, 0)).toEqual([]);
+  });
+
+  test('mentioned members and the replied-to author get one notification each', async () => {
+    const { body: [first] } = await request(app).get(`/api/projects/${projectId}/comments`).set(auth[names.owner]);
+
+    const res = await post(names.owner, `Agreed, @${names.viewer}?`, first._id);
+    expect(res.status).toBe(201);
+
+    const toEditor = await commentNotifications(names.editor, 1);
+    expect(toEditor).toEqual([
+      expect.objectContaining({ type: 'comment', message: `${names.owner} replied to your comment in Discussed` })
+    ]);
+
+    const toViewer = await commentNotifications(names.viewer, 2);
+    expect(toViewer.map((notification) => notification.type)).toEqual(['mention', 'comment']);
+    expect(await commentNotifications(names.owner, 1)).toHaveLength(1);
+  });
+});
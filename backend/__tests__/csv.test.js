@@ -0,0 +1,114 @@
+/**
+ * CSV export and import: the RFC 4180 helpers on their own, and the import
+ * report the route builds from them.
+ */
+
+const request = require('supertest');
+
+process.env.MAIL_TRANSPORT = 'json';
+const { createServer, toCsv, parseCsv, csvRecords } = require('../server');
+const { useTestDatabase } = require('./support/database');
+
+describe('toCsv', () => {
+  test('quotes fields with commas, quotes and line breaks', () => {
+    const csv = toCsv(['name', 'description'], [
+      { name: 'Plain', description: 'one, two' },
+      { name: 'Say "hi"', description: 'first line\nsecond line' }
+    ]);
+    expect(csv).toBe('name,description\r\nPlain,"one, two"\r\n"Say ""hi""","first line\nsecond line"\r\n');
+  });
+
+  test('prefixes formula-like values with a quote', () => {
+    const csv = toCsv(['name'], [{ name: '=SUM(A1)' }, { name: '+1' }, { name: '-1' }, { name: '@cmd' }, { name: "'=already" }]);
+    expect(csv.split('\r\n').slice(1, -1)).toEqual(["'=SUM(A1)", "'+1", "'-1", "'@cmd", "''=already"]);
+  });
+
+  test('writes dates as ISO strings and missing values as empty cells', () => {
+    const csv = toCsv(['createdAt', 'owner'], [{ createdAt: new Date('2026-01-02T03:04:05Z') }]);
+    expect(csv).toBe('createdAt,owner\r\n2026-01-02T03:04:05.000Z,\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads quoted fields with doubled quotes and line breaks', () => {
+    expect(parseCsv('a,b\r\n"x, ""y""","1\r\n2"\r\n')).toEqual({
+      rows: [['a', 'b'], ['x, "y"', '1\r\n2']],
+      errors: []
+    });
+  });
+
+  test('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFa\n\n , \nb').rows).toEqual([['a'], ['b']]);
+  });
+
+  test('reports a quoted field that is never closed', () => {
+    expect(parseCsv('name,technology\nok,React\n"unterminated,React\nnext,Vue\n')).toEqual({
+      rows: [['name', 'technology'], ['ok', 'React'], ['unterminated,React\nnext,Vue\n']],
+      errors: [{ row: 2, message: 'Unterminated quoted field' }]
+    });
+  });
+});
+
+describe('csvRecords', () => {
+  test('keys cells by the lower-cased header and leaves out empty ones', () => {
+    expect(csvRecords('Name, Technology ,Status\nApp,React,\n').records).toEqual([
+      { name: 'App', technology: 'React' }
+    ]);
+  });
+
+  test('gets back what toCsv exported', () => {
+    const rows = [
+      { name: '=HYPERLINK("x")', description: 'line one\r\nline "two", three', technology: '@angular' },
+      { name: "''+quoted", description: '-', technology: 'Node.js' }
+    ];
+    expect(csvRecords(toCsv(['name', 'description', 'technology'], rows))).toEqual({ records: rows, errors: [] });
+  });
+
+  test('numbers errors by record, not counting the header', () => {
+    const { records, errors } = csvRecords('name,technology\nok,React\n"unterminated,React\n');
+    expect(records).toHaveLength(2);
+    expect(errors).toEqual([{ row: 2, field: 'csv', message: 'Unterminated quoted field' }]);
+  });
+});
+
+describe('POST /api/projects/import', () => {
+  const suffix = Date.now().toString(36);
+  const account = { username: `import-${suffix}`, email: `import-${suffix}@example.com`, password: 'correct horse battery' };
+  let app;
+  let auth;
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    ({ app } = createServer());
+    const { body } = await request(app).post('/api/auth/register').send(account);
+    auth = { Authorization: `Bearer ${body.token}` };
+  });
+
+  afterAll(() => app.locals.cache.close());
+
+  test('rejects rows that do not parse, reporting each by number', async () => {
+    const res = await request(app)
+      .post('/api/projects/import?dryRun=true')
+      .set(auth)
+      .send({ csv: 'name,technology\nFine,React\n"unterminated,React\n' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      total: 2,
+      valid: 1,
+      errors: [{ row: 2, field: 'csv', message: 'Unterminated quoted field' }]
+    });
+  });
+
+  test('imports rows past planning as planning for non-admins, with a warning', async () => {
+    const res = await request(app)
+      .post('/api/projects/import')
+      .set(auth)
+      .send({ csv: toCsv(['name', 'technology', 'status'], [{ name: 'Shipped', technology: 'Vue', status: 'deployed' }]) });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ imported: 1, errors: [], warnings: [{ row: 1, field: 'status' }] });
+
+    const list = await request(app).get('/api/projects').set(auth);
+    expect(list.body.projects.map((project) => [project.name, project.status])).toEqual([['Shipped', 'planning']]);
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * The API as documented: every response below is checked against the OpenAPI
+ * spec the server serves, and the spec against the registered routes. Routes
+ * that need MongoDB run against the database from ./support/database.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+process.env.MAIL_TRANSPORT = 'json';
+const { createServer, schemas } = require('../server');
+const { checkSpecDrift } = require('../openapi');
+const { useTestDatabase } = require('./support/database');
+
+let app;
+let spec;
+let ajv;
+
+// JSON Pointer into the spec, e.g. paths./api/projects/{id}.get
+const specPointer = (...segments) => `openapi.json#/${segments
+  .map((segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+  .join('/')}`;
+
+const expectValid = (pointer, body) => {
+  const validate = ajv.getSchema(pointer);
+  validate(body);
+  expect(validate.errors).toBeNull();
+};
+
+// The response status must be documented for the operation, and a JSON body
+// must match the schema documented for that status
+const expectDocumented = (res, method, path) => {
+  const operation = spec.paths[path] && spec.paths[path][method];
+  expect(operation).toBeDefined();
+  expect(Object.keys(operation.responses)).toContain(String(res.status));
+  expectValid(specPointer('paths', path, method, 'responses', res.status, 'content', 'application/json', 'schema'), res.body);
+};
+
+beforeAll(async () => {
+  ({ app } = createServer());
+  spec = (await request(app).get('/api/openapi.json')).body;
+
+  ajv = new Ajv({ strict: false, allErrors: true });
+  addFormats(ajv);
+  ajv.addSchema(spec, 'openapi.json');
+});
+
+afterAll(() => app.locals.cache.close());
+
+describe('OpenAPI spec', () => {
+  test('documents exactly the registered routes', () => {
+    expect(checkSpecDrift(app, schemas)).toEqual([]);
+  });
+
+  test('GET /api/openapi.json', async () => {
+    const res = await request(app).get('/api/openapi.json');
+    expectDocumented(res, 'get', '/api/openapi.json');
+  });
+});
+
+describe('routes that need no database', () => {
+  test('GET /health/live', async () => {
+    const res = await request(app).get('/health/live');
+    expect(res.status).toBe(200);
+    expectDocumented(res, 'get', '/health/live');
+  });
+
+  test('GET /health/ready', async () => {
+    const res = await request(app).get('/health/ready');
+    expect([200, 503]).toContain(res.status);
+    expectDocumented(res, 'get', '/health/ready');
+  });
+
+  test('invalid bodies are rejected with a ValidationError', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'x', email: 'not-an-email' });
+    expect(res.status).toBe(400);
+    expectDocumented(res, 'post', '/api/auth/register');
+    expect(res.body.details.map((detail) => detail.field)).toEqual(
+      expect.arrayContaining(['username', 'email', 'password'])
+    );
+  });
+
+  test('malformed JSON is rejected with a ValidationError', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+    expect(res.status).toBe(400);
+    expectDocumented(res, 'post', '/api/auth/login');
+  });
+
+  test('routes that need a user reject a missing token', async () => {
+    const res = await request(app).get('/api/projects');
+    expect(res.status).toBe(401);
+    expectDocumented(res, 'get', '/api/projects');
+  });
+
+  test('routes that need a user reject an invalid token', async () => {
+    const res = await request(app).get('/api/projects').set('Authorization', 'Bearer not-a-jwt');
+    expect(res.status).toBe(403);
+    expectDocumented(res, 'get', '/api/projects');
+  });
+
+  test('unknown routes answer 404 with an Error', async () => {
+    const res = await request(app).get('/api/nothing-here');
+    expect(res.status).toBe(404);
+    expectValid(specPointer('components', 'schemas', 'Error'), res.body);
+  });
+});
+
+describe('routes backed by MongoDB', () => {
+  const suffix = Date.now().toString(36);
+  const owner = { username: `owner-${suffix}`, email: `owner-${suffix}@example.com`, password: 'correct horse battery' };
+  const member = { username: `member-${suffix}`, email: `member-${suffix}@example.com`, password: 'correct horse battery' };
+  let ownerToken;
+  let memberToken;
+  let projectId;
+  let etag;
+
+  const as = (token) => ({ Authorization: `Bearer ${token}` });
+
+  useTestDatabase();
+
+  test('POST /api/auth/register', async () => {
+    for (const account of [owner, member]) {
+      const res = await request(app).post('/api/auth/register').send(account);
+      expect(res.status).toBe(201);
+      expectDocumented(res, 'post', '/api/auth/register');
+    }
+  });
+
+  test('POST /api/auth/login', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: owner.email, password: owner.password });
+    expect(res.status).toBe(200);
+    expectDocumented(res, 'post', '/api/auth/login');
+    ownerToken = res.body.token;
+
+    const memberLogin = await request(app).post('/api/auth/login').send({ email: member.email, password: member.password });
+    memberToken = memberLogin.body.token;
+  });
+
+  test('POST /api/projects', async () => {
+    const res = await request(app)
+      .post('/api/projects')
+      .set(as(ownerToken))
+      .send({ name: 'Contract test', description: 'Checked against the spec', technology: 'Node.js' });
+    expect(res.status).toBe(201);
+    expectDocumented(res, 'post', '/api/projects');
+    projectId = res.body._id;
+  });
+
+  test('GET /api/projects', async () => {
+    const res = await request(app).get('/api/projects').set(as(ownerToken));
+    expect(res.status).toBe(200);
+    expectDocumented(res, 'get', '/api/projects');
+    expect(res.body.projects.map((project) => project._id)).toContain(projectId);
+  });
+
+  test('GET /api/projects/:id', async () => {
+    const res = await request(app).get(`/api/projects/${projectId}`).set(as(ownerToken));
+    expect(res.status).toBe(200);
+    expectDocumented(res, 'get', '/api/projects/{id}');
+    etag = res.headers.etag;
+  });
+
+  test('GET /api/projects/:id for a project that does not exist', async () => {
+    const res = await request(app).get(`/api/projects/${new mongoose.Types.ObjectId()}`).set(as(ownerToken));
+    expect(res.status).toBe(404);
+    expectDocumented(res, 'get', '/api/projects/{id}');
+  });
+
+  test('PUT /api/projects/:id', async () => {
+    const missing = await request(app).put(`/api/projects/${projectId}`).set(as(ownerToken)).send({ name: 'Renamed' });
+    expect(missing.status).toBe(428);
+    expectDocumented(missing, 'put', '/api/projects/{id}');
+
+    const res = await request(app)
+      .put(`/api/projects/${projectId}`)
+      .set(as(ownerToken))
+      .set('If-Match', etag)
+      .send({ name: 'Renamed' });
+    expect(res.status).toBe(200);
+    expectDocumented(res, 'put', '/api/projects/{id}');
+
+    const stale = await request(app)
+      .put(`/api/projects/${projectId}`)
+      .set(as(ownerToken))
+      .set('If-Match', etag)
+      .send({ name: 'Renamed again' });
+    expect(stale.status).toBe(409);
+    expectDocumented(stale, 'put', '/api/projects/{id}');
+    expect(stale.body.current.name).toBe('Renamed');
+  });
+
+  test('POST /api/projects/:id/status', async () => {
+    const res = await request(app)
+      .post(`/api/projects/${projectId}/status`)
+      .set(as(ownerToken))
+      .send({ status: 'development' });
+    expect(res.status).toBe(200);
+    expectDocumented(res, 'post', '/api/projects/{id}/status');
+
+    const skipped = await request(app)
+      .post(`/api/projects/${projectId}/status`)
+      .set(as(ownerToken))
+      .send({ status: 'deployed' });
+    expect(skipped.status).toBe(422);
+    expectDocumented(skipped, 'post', '/api/projects/{id}/status');
+  });
+
+  test('invitations and members', async () => {
+    const invite = await request(app)
+      .post(`/api/projects/${projectId}/invitations`)
+      .set(as(ownerToken))
+      .send({ identifier: member.username, role: 'viewer' });
+    expect(invite.status).toBe(201);
+    expectDocumented(invite, 'post', '/api/projects/{id}/invitations');
+
+    const pending = await request(app).get('/api/invitations').set(as(memberToken));
+    expect(pending.status).toBe(200);
+    expectDocumented(pending, 'get', '/api/invitations');
+
+    const accept = await request(app).post(`/api/invitations/${invite.body._id}/accept`).set(as(memberToken));
+    expect(accept.status).toBe(200);
+    expectDocumented(accept, 'post', '/api/invitations/{invitationId}/{response}');
+
+    const members = await request(app).get(`/api/projects/${projectId}/members`).set(as(ownerToken));
+    expect(members.status).toBe(200);
+    expectDocumented(members, 'get', '/api/projects/{id}/members');
+    expect(members.body.collaborators).toHaveLength(1);
+  });
+
+  test('GET /api/projects/:id/activity', async () => {
+    const res = await request(app).get(`/api/projects/${projectId}/activity`).set(as(ownerToken));
+    expect(res.status).toBe(200);
+    expectDocumented(res, 'get', '/api/projects/{id}/activity');
+  });
+
+  test('GET /api/analytics/stats', async () => {
+    const res = await request(app).get('/api/analytics/stats').set(as(ownerToken));
+    expect(res.status).toBe(200);
+    expectDocumented(res, 'get', '/api/analytics/stats');
+  });
+
+  test('DELETE /api/projects/:id and restore', async () => {
+    const removed = await request(app).delete(`/api/projects/${projectId}`).set(as(ownerToken));
+    expect(removed.status).toBe(200);
+    expectDocumented(removed, 'delete', '/api/projects/{id}');
+
+    const trash = await request(app).get('/api/projects/trash').set(as(ownerToken));
+    expect(trash.status).toBe(200);
+    expectDocumented(trash, 'get', '/api/projects/trash');
+
+    const restored = await request(app).post(`/api/projects/${projectId}/restore`).set(as(ownerToken));
+    expect(restored.status).toBe(200);
+    expectDocumented(restored, 'post', '/api/projects/{id}/restore');
+  });
+});
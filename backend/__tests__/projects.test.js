@@ -0,0 +1,98 @@
+/**
+ * Optimistic concurrency on project updates: PUT needs the ETag from the last
+ * read in If-Match and answers 409 with the current project when it is stale.
+ */
+
+const request = require('supertest');
+
+process.env.MAIL_TRANSPORT = 'json';
+const { createServer, matchesETag } = require('../server');
+const { useTestDatabase } = require('./support/database');
+
+describe('matchesETag', () => {
+  test('matches the quoted tag', () => {
+    expect(matchesETag('"3"', '"3"')).toBe(true);
+    expect(matchesETag('"4"', '"3"')).toBe(false);
+  });
+
+  test('compares weak tags by value', () => {
+    expect(matchesETag('W/"3"', '"3"')).toBe(true);
+    expect(matchesETag('W/"4"', '"3"')).toBe(false);
+  });
+
+  test('accepts any tag in a list, and *', () => {
+    expect(matchesETag('"1", W/"3" ,"5"', '"3"')).toBe(true);
+    expect(matchesETag('"1","2"', '"3"')).toBe(false);
+    expect(matchesETag('*', '"3"')).toBe(true);
+  });
+
+  test('does not match unquoted or partial tags', () => {
+    expect(matchesETag('3', '"3"')).toBe(false);
+    expect(matchesETag('"33"', '"3"')).toBe(false);
+    expect(matchesETag('', '"3"')).toBe(false);
+  });
+});
+
+describe('PUT /api/projects/:id', () => {
+  const suffix = Date.now().toString(36);
+  const account = { username: `etag-${suffix}`, email: `etag-${suffix}@example.com`, password: 'correct horse battery' };
+  let app;
+  let auth;
+  let projectId;
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    ({ app } = createServer());
+    const { body } = await request(app).post('/api/auth/register').send(account);
+    auth = { Authorization: `Bearer ${body.token}` };
+    const created = await request(app)
+      .post('/api/projects')
+      .set(auth)
+      .send({ name: 'Versioned', description: 'Edited twice', technology: 'Node.js' });
+    projectId = created.body._id;
+  });
+
+  afterAll(() => app.locals.cache.close());
+
+  const update = (body, ifMatch) => {
+    const req = request(app).put(`/api/projects/${projectId}`).set(auth);
+    return (ifMatch ? req.set('If-Match', ifMatch) : req).send(body);
+  };
+
+  test('answers 428 without If-Match and changes nothing', async () => {
+    const res = await update({ name: 'Unconditional' });
+    expect(res.status).toBe(428);
+    expect(res.body.code).toBe('PRECONDITION_REQUIRED');
+
+    const current = await request(app).get(`/api/projects/${projectId}`).set(auth);
+    expect(current.body.name).toBe('Versioned');
+  });
+
+  test('saves with the current ETag and returns the next one', async () => {
+    const { headers: { etag } } = await request(app).get(`/api/projects/${projectId}`).set(auth);
+
+    const res = await update({ name: 'First edit' }, etag);
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('First edit');
+    expect(res.headers.etag).toEqual(expect.any(String));
+    expect(res.headers.etag).not.toBe(etag);
+
+    const weak = await update({ name: 'Second edit' }, `W/${res.headers.etag}`);
+    expect(weak.status).toBe(200);
+  });
+
+  test('answers 409 with the current project for a stale ETag', async () => {
+    const { headers: { etag } } = await request(app).get(`/api/projects/${projectId}`).set(auth);
+    await update({ description: 'Saved elsewhere' }, etag);
+
+    const res = await update({ name: 'Lost edit' }, etag);
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('VERSION_CONFLICT');
+    expect(res.body.current).toMatchObject({ _id: projectId, name: 'Second edit', description: 'Saved elsewhere' });
+    expect(res.headers.etag).not.toBe(etag);
+
+    const retried = await update({ name: 'Merged edit' }, res.headers.etag);
+    expect(retried.status).toBe(200);
+  });
+});
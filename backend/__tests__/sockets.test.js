@@ -0,0 +1,84 @@
+/**
+ * Two servers sharing one Redis, as two containers would. The Redis is the
+ * in-process stand-in from ./support/redis unless REDIS_URL_TEST names a real
+ * one.
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { io: connectClient } = require('socket.io-client');
+
+process.env.JWT_SECRET = 'sockets-test-secret';
+const { createServer } = require('../server');
+const { startRedis } = require('./support/redis');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const sessionId = new mongoose.Types.ObjectId().toString();
+
+// The socket handshake looks up the account and session, and start() connects
+// to MongoDB and runs a trash purge; none of that needs a database here
+const stubDatabase = () => {
+  const selects = (value) => ({ select: () => Promise.resolve(value) });
+  jest.spyOn(mongoose, 'connect').mockResolvedValue(mongoose);
+  jest.spyOn(mongoose.model('User'), 'findById').mockReturnValue(selects({ role: 'user', disabled: false }));
+  jest.spyOn(mongoose.model('Session'), 'findById').mockReturnValue(selects({ revokedAt: null }));
+  jest.spyOn(mongoose.model('Project'), 'find').mockReturnValue(selects([]));
+};
+
+const connect = (instance) => new Promise((resolve, reject) => {
+  const token = jwt.sign({ userId, username: 'sockets', sessionId }, process.env.JWT_SECRET);
+  const client = connectClient(`http://localhost:${instance.server.address().port}`, {
+    auth: { token },
+    transports: ['websocket'],
+    reconnection: false
+  });
+  client.once('connect', () => resolve(client));
+  client.once('connect_error', reject);
+});
+
+describe('Socket.IO across servers', () => {
+  let redis;
+  let servers = [];
+  let clients = [];
+
+  beforeAll(async () => {
+    stubDatabase();
+    redis = process.env.REDIS_URL_TEST ? { url: process.env.REDIS_URL_TEST } : await startRedis();
+    servers = [createServer({ redisUrl: redis.url }), createServer({ redisUrl: redis.url })];
+    await Promise.all(servers.map((instance) => instance.start(0)));
+    clients = await Promise.all(servers.map(connect));
+  });
+
+  afterAll(async () => {
+    clients.forEach((client) => client.disconnect());
+    await Promise.all(servers.map((instance) => instance.close()));
+    if (redis.close) await redis.close();
+    jest.restoreAllMocks();
+  });
+
+  test('an event emitted on one server reaches clients on both', async () => {
+    const received = clients.map((client) => new Promise((resolve) => client.once('notification', resolve)));
+
+    servers[0].io.to(`user-${userId}`).emit('notification', { message: 'hello' });
+
+    await expect(Promise.all(received)).resolves.toEqual([{ message: 'hello' }, { message: 'hello' }]);
+  });
+
+  test('each server sees the sockets connected to the other', async () => {
+    for (const instance of servers) {
+      const sockets = await instance.io.in(`user-${userId}`).fetchSockets();
+      expect(sockets.map((socket) => socket.data.user)).toEqual([
+        { id: userId, username: 'sockets' },
+        { id: userId, username: 'sockets' }
+      ]);
+    }
+  });
+
+  test('disconnecting sockets from one server drops them on the other', async () => {
+    const disconnected = new Promise((resolve) => clients[1].once('disconnect', resolve));
+
+    servers[0].io.in(`user-${userId}`).disconnectSockets(true);
+
+    await expect(disconnected).resolves.toBe('io server disconnect');
+  });
+});
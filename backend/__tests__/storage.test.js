@@ -0,0 +1,84 @@
+/**
+ * Both storage backends against the same cases. The S3 one talks to s3rver, a
+ * local S3 stand-in; it checks the access key but not SigV4 signatures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const S3rver = require('s3rver');
+const { createLocalStorage, createS3Storage } = require('../storage');
+
+const BUCKET = 'attachments';
+const CREDENTIALS = { accessKeyId: 'S3RVER', secretAccessKey: 'S3RVER' };
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+let tempDir;
+let s3rver;
+let s3Endpoint;
+
+beforeAll(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mcp-storage-'));
+  s3rver = new S3rver({
+    address: '127.0.0.1',
+    port: 0,
+    silent: true,
+    directory: path.join(tempDir, 's3'),
+    configureBuckets: [{ name: BUCKET }]
+  });
+  const { port } = await s3rver.run();
+  s3Endpoint = `http://127.0.0.1:${port}`;
+});
+
+afterAll(async () => {
+  await s3rver.close();
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+describe.each([
+  ['local', () => createLocalStorage({ root: path.join(tempDir, 'local') })],
+  ['s3', () => createS3Storage({ endpoint: s3Endpoint, region: 'us-east-1', bucket: BUCKET, ...CREDENTIALS })]
+])('%s storage', (driver, create) => {
+  let storage;
+  const key = 'project-1/5f2b6c0e9a1d4e7f8a9b0c1d2e3f4a5b';
+  const contents = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x0a]);
+
+  beforeAll(() => {
+    storage = create();
+  });
+
+  test('reads back what was put', async () => {
+    await storage.put(key, contents, 'image/png');
+    expect(await readAll(await storage.get(key))).toEqual(contents);
+  });
+
+  test('overwrites an existing key', async () => {
+    await storage.put(key, Buffer.from('replaced'), 'text/plain');
+    expect((await readAll(await storage.get(key))).toString()).toBe('replaced');
+  });
+
+  test('removes a key, after which get rejects with NOT_FOUND', async () => {
+    await storage.remove(key);
+    await expect(storage.get(key)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  test('removing a missing key is not an error', async () => {
+    await expect(storage.remove('project-1/never-stored')).resolves.toBeUndefined();
+  });
+});
+
+describe('s3 storage errors', () => {
+  test('S3 error responses reject with the status and body', async () => {
+    const storage = createS3Storage({ endpoint: s3Endpoint, region: 'us-east-1', bucket: BUCKET, ...CREDENTIALS, accessKeyId: 'UNKNOWN' });
+    await expect(storage.put('project-1/refused', Buffer.from('x'), 'text/plain')).rejects.toThrow(/failed with 403: .*InvalidAccessKeyId/s);
+  });
+
+  test('refuses to be created without credentials', () => {
+    expect(() => createS3Storage({ endpoint: s3Endpoint, bucket: BUCKET })).toThrow(/S3_ACCESS_KEY_ID/);
+  });
+});
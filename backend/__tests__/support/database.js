@@ -0,0 +1,37 @@
+/**
+ * A MongoDB for route tests. Uses MONGODB_URI_TEST when it is set and starts a
+ * throwaway mongod from mongodb-memory-server otherwise, so the routes are
+ * exercised on every run; if neither is available the suite fails rather than
+ * skipping. Each suite gets a database of its own, dropped when it finishes.
+ */
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// The first run may have to download mongod
+const STARTUP_TIMEOUT = 120000;
+
+const useTestDatabase = () => {
+  let memoryServer;
+
+  beforeAll(async () => {
+    // Without a database, queries should fail at once rather than wait for one
+    mongoose.set('bufferCommands', false);
+    let uri = process.env.MONGODB_URI_TEST;
+    if (!uri) {
+      memoryServer = await MongoMemoryServer.create();
+      uri = memoryServer.getUri();
+    }
+    await mongoose.connect(uri, { dbName: `mcp-test-${new mongoose.Types.ObjectId()}` });
+  }, STARTUP_TIMEOUT);
+
+  afterAll(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    }
+    if (memoryServer) await memoryServer.stop();
+  });
+};
+
+module.exports = { useTestDatabase };
@@ -0,0 +1,181 @@
+/**
+ * An in-process Redis stand-in for tests that need several servers to share
+ * one. It speaks enough RESP2 for the Socket.IO Redis adapter (pub/sub and
+ * PUBSUB NUMSUB) and the cache (strings with expiry, counters, MULTI/EXEC);
+ * anything else is acknowledged with OK. Values stay Buffers because the
+ * adapter publishes msgpack.
+ */
+
+const net = require('net');
+
+const OK = { simple: 'OK' };
+
+const encode = (value) => {
+  if (value === null) return Buffer.from('$-1\r\n');
+  if (typeof value === 'number') return Buffer.from(`:${value}\r\n`);
+  if (Array.isArray(value)) return Buffer.concat([Buffer.from(`*${value.length}\r\n`), ...value.map(encode)]);
+  if (value.simple) return Buffer.from(`+${value.simple}\r\n`);
+  const bytes = Buffer.from(value);
+  return Buffer.concat([Buffer.from(`$${bytes.length}\r\n`), bytes, Buffer.from('\r\n')]);
+};
+
+// Parses every complete command at the start of buffer, returning the
+// commands and whatever is left over for the next chunk
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    let cursor = buffer.indexOf('\r\n', offset);
+    if (cursor < 0) break;
+    const count = Number(buffer.toString('utf8', offset + 1, cursor));
+    cursor += 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const lineEnd = buffer.indexOf('\r\n', cursor);
+      if (lineEnd < 0) break;
+      const length = Number(buffer.toString('utf8', cursor + 1, lineEnd));
+      if (buffer.length < lineEnd + 2 + length + 2) break;
+      args.push(Buffer.from(buffer.subarray(lineEnd + 2, lineEnd + 2 + length)));
+      cursor = lineEnd + 2 + length + 2;
+    }
+    if (args.length < count) break;
+    commands.push(args);
+    offset = cursor;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+};
+
+const globToRegExp = (pattern) => new RegExp(
+  `^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+);
+
+const startRedis = async () => {
+  const values = new Map();
+  const expiries = new Map();
+  const subscribers = new Map();
+
+  const exists = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      values.delete(key);
+      expiries.delete(key);
+    }
+    return values.has(key);
+  };
+
+  const subscriptionCount = (subscription) => subscription.channels.size + subscription.patterns.size;
+
+  // Returns one reply, or { replies } when a command answers once per argument
+  const execute = (socket, command) => {
+    const [name, ...args] = command.map((arg) => arg.toString());
+    const [key] = args;
+    const subscription = subscribers.get(socket);
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return { simple: 'PONG' };
+      case 'GET':
+        return exists(key) ? values.get(key) : null;
+      case 'SET': {
+        values.set(key, command[2]);
+        expiries.delete(key);
+        const ex = args.findIndex((arg) => /^(EX|PX)$/i.test(arg));
+        if (ex > 0) expiries.set(key, Date.now() + Number(args[ex + 1]) * (/^EX$/i.test(args[ex]) ? 1000 : 1));
+        return OK;
+      }
+      case 'INCR':
+      case 'DECR': {
+        const value = (exists(key) ? Number(values.get(key).toString()) : 0) + (/^INCR$/i.test(name) ? 1 : -1);
+        values.set(key, String(value));
+        return value;
+      }
+      case 'DEL':
+        return args.filter((arg) => exists(arg) && values.delete(arg)).length;
+      case 'PEXPIRE':
+        expiries.set(key, Date.now() + Number(args[1]));
+        return exists(key) ? 1 : 0;
+      case 'PTTL':
+        if (!exists(key)) return -2;
+        return expiries.has(key) ? expiries.get(key) - Date.now() : -1;
+      case 'SUBSCRIBE':
+      case 'PSUBSCRIBE':
+      case 'UNSUBSCRIBE':
+      case 'PUNSUBSCRIBE': {
+        const set = /^P/i.test(name) ? subscription.patterns : subscription.channels;
+        const adding = !/UNSUB/i.test(name);
+        return {
+          replies: args.map((channel) => {
+            if (adding) set.add(channel);
+            else set.delete(channel);
+            return [name.toLowerCase(), channel, subscriptionCount(subscription)];
+          })
+        };
+      }
+      case 'PUBLISH': {
+        let receivers = 0;
+        for (const [subscriber, { channels, patterns }] of subscribers) {
+          if (channels.has(key)) {
+            subscriber.write(encode(['message', key, command[2]]));
+            receivers++;
+          }
+          for (const pattern of patterns) {
+            if (globToRegExp(pattern).test(key)) {
+              subscriber.write(encode(['pmessage', pattern, key, command[2]]));
+              receivers++;
+            }
+          }
+        }
+        return receivers;
+      }
+      case 'PUBSUB':
+        if (/^NUMSUB$/i.test(key)) {
+          return args.slice(1).flatMap((channel) => [
+            channel,
+            [...subscribers.values()].filter(({ channels }) => channels.has(channel)).length
+          ]);
+        }
+        return [];
+      default:
+        return OK;
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let pending = Buffer.alloc(0);
+    let queued = null;
+    subscribers.set(socket, { channels: new Set(), patterns: new Set() });
+    socket.on('close', () => subscribers.delete(socket));
+    socket.on('error', () => {});
+
+    socket.on('data', (chunk) => {
+      const { commands, rest } = parseCommands(Buffer.concat([pending, chunk]));
+      pending = rest;
+      for (const command of commands) {
+        const name = command[0].toString().toUpperCase();
+        if (name === 'MULTI') {
+          queued = [];
+          socket.write(encode(OK));
+        } else if (name === 'EXEC') {
+          socket.write(encode(queued.map((queuedCommand) => execute(socket, queuedCommand))));
+          queued = null;
+        } else if (queued) {
+          queued.push(command);
+          socket.write(encode({ simple: 'QUEUED' }));
+        } else {
+          const reply = execute(socket, command);
+          socket.write(reply && reply.replies ? Buffer.concat(reply.replies.map(encode)) : encode(reply));
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      for (const socket of subscribers.keys()) socket.destroy();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = { startRedis };
@@ -0,0 +1,187 @@
+/**
+ * 🚀 MCP SUPREME DEMO APP - CACHE
+ * A small key/value cache and express-rate-limit store backed by Redis when
+ * REDIS_URL is set, so every backend container shares them. Redis is never
+ * required: without REDIS_URL, and whenever the connection is down, both fall
+ * back to process memory and the app keeps serving (each container then
+ * caches and counts on its own until Redis is back).
+ *
+ *   get(key)               -> Promise<value | undefined>
+ *   set(key, value, ttl)   -> Promise            (ttl in seconds, values are JSON)
+ *   del(...keys)           -> Promise
+ *   incr(key)              -> Promise<number>    (counters never expire)
+ *   rateLimitStore(prefix) -> express-rate-limit Store
+ *
+ * Cache errors are logged (to `logger`, console by default) and swallowed; a
+ * cache miss is always safe.
+ */
+
+const { createClient } = require('redis');
+const { MemoryStore } = require('express-rate-limit');
+
+const createMemoryCache = ({ maxEntries = 5000 } = {}) => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const write = (key, value, ttl) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+    // Maps iterate in insertion order, so the first key is the oldest write
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    get: (key) => {
+      const entry = read(key);
+      return entry ? entry.value : undefined;
+    },
+    set: write,
+    del: (keys) => keys.forEach((key) => entries.delete(key)),
+    incr: (key) => {
+      const entry = read(key);
+      const value = (entry ? Number(entry.value) : 0) + 1;
+      write(key, value, null);
+      return value;
+    },
+    clear: () => entries.clear()
+  };
+};
+
+const createCache = ({ url, prefix = 'mcp:', maxEntries, logger = console } = {}) => {
+  const memory = createMemoryCache({ maxEntries });
+  const cachePrefix = `${prefix}cache:`;
+  let client = null;
+  let outage = false;
+
+  // Logs once per outage rather than on every reconnect attempt
+  const reportError = (error) => {
+    if (!outage) {
+      logger.warn('Redis unavailable, falling back to in-memory cache', { error: error.message });
+      outage = true;
+    }
+  };
+
+  if (url) {
+    client = createClient({
+      url,
+      // Fail fast while disconnected instead of queueing; callers fall back
+      disableOfflineQueue: true,
+      socket: { reconnectStrategy: (retries) => Math.min(retries * 500, 5000) }
+    });
+    client.on('error', reportError);
+    client.on('ready', async () => {
+      logger.info('Redis connected');
+      if (!outage) return;
+      outage = false;
+      // Writes during the outage only invalidated the memory copy, so drop
+      // whatever Redis cached before it went away
+      memory.clear();
+      try {
+        for await (const key of client.scanIterator({ MATCH: `${cachePrefix}*`, COUNT: 500 })) {
+          await client.del(key);
+        }
+      } catch (error) {
+        reportError(error);
+      }
+    });
+    client.connect().catch(reportError);
+  }
+
+  // Runs `command` against Redis when it's up, otherwise (or if it fails)
+  // `fallback` against memory
+  const run = async (command, fallback) => {
+    if (client && client.isReady) {
+      try {
+        return await command(client);
+      } catch (error) {
+        reportError(error);
+      }
+    }
+    return fallback(memory);
+  };
+
+  const rateLimitStore = (storePrefix) => {
+    const local = new MemoryStore();
+    let windowMs;
+
+    return {
+      prefix: storePrefix,
+      // Counts are shared between containers whenever Redis is connected
+      localKeys: false,
+
+      init: (options) => {
+        windowMs = options.windowMs;
+        local.init(options);
+      },
+
+      increment: (key) => run(async (redis) => {
+        const redisKey = `${prefix}${storePrefix}${key}`;
+        const [totalHits, ttl] = await redis.multi().incr(redisKey).pTTL(redisKey).exec();
+        let remaining = ttl;
+        if (remaining < 0) {
+          // First hit in this window starts the clock
+          await redis.pExpire(redisKey, windowMs);
+          remaining = windowMs;
+        }
+        return { totalHits, resetTime: new Date(Date.now() + remaining) };
+      }, () => local.increment(key)),
+
+      decrement: (key) => run(
+        (redis) => redis.decr(`${prefix}${storePrefix}${key}`),
+        () => local.decrement(key)
+      ),
+
+      resetKey: (key) => run(
+        (redis) => redis.del(`${prefix}${storePrefix}${key}`),
+        () => local.resetKey(key)
+      )
+    };
+  };
+
+  return {
+    driver: client ? 'redis' : 'memory',
+    client,
+    isReady: () => Boolean(client && client.isReady),
+
+    get: (key) => run(async (redis) => {
+      const value = await redis.get(cachePrefix + key);
+      return value === null ? undefined : JSON.parse(value);
+    }, (fallback) => {
+      const value = fallback.get(key);
+      return value === undefined ? undefined : JSON.parse(value);
+    }),
+
+    set: (key, value, ttl) => run(
+      (redis) => redis.set(cachePrefix + key, JSON.stringify(value), ttl ? { EX: ttl } : {}),
+      (fallback) => fallback.set(key, JSON.stringify(value), ttl)
+    ),
+
+    del: (...keys) => run(
+      (redis) => redis.del(keys.map((key) => cachePrefix + key)),
+      (fallback) => fallback.del(keys)
+    ),
+
+    incr: (key) => run(
+      (redis) => redis.incr(cachePrefix + key),
+      (fallback) => fallback.incr(key)
+    ),
+
+    rateLimitStore,
+
+    close: async () => {
+      if (client && client.isOpen) await client.quit();
+    }
+  };
+};
+
+module.exports = { createCache, createMemoryCache };
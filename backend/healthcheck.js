@@ -0,0 +1,29 @@
+/**
+ * 🚀 MCP SUPREME DEMO APP - DOCKER HEALTHCHECK
+ * Run by the Dockerfile's HEALTHCHECK: exits 0 when /health/ready answers
+ * 200 (MongoDB, and Redis when configured, reachable), 1 otherwise.
+ * HEALTHCHECK_PATH=/health/live checks only that the process is up.
+ */
+
+const http = require('http');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ ...process.env, LOG_SERVICE: 'healthcheck' });
+
+const port = process.env.PORT || 5000;
+const path = process.env.HEALTHCHECK_PATH || '/health/ready';
+// Below the Dockerfile's --timeout so a hang is reported as a failure here
+const TIMEOUT_MS = 2500;
+
+const req = http.get({ host: '127.0.0.1', port, path, timeout: TIMEOUT_MS }, (res) => {
+  res.resume();
+  process.exit(res.statusCode === 200 ? 0 : 1);
+});
+
+req.on('timeout', () => req.destroy(new Error(`No response within ${TIMEOUT_MS}ms`)));
+// The request is gone at this point, so the process exits by itself once the
+// log line is written
+req.on('error', (error) => {
+  logger.error('Healthcheck failed', { path, error });
+  process.exitCode = 1;
+});
@@ -0,0 +1,135 @@
+/**
+ * 🚀 MCP SUPREME DEMO APP - METRICS
+ * Prometheus metrics for /metrics, kept in a registry of their own:
+ *   <prefix>http_requests_total              counter, by method/route/status
+ *   <prefix>http_request_duration_seconds    histogram, same labels
+ *   <prefix>socket_connections               gauge, Socket.IO clients on this node
+ *   <prefix>db_query_duration_seconds        histogram, by model/operation
+ * plus prom-client's default process and Node.js metrics.
+ *
+ * Routes are labelled with their Express pattern (/api/projects/:id), never
+ * the raw URL, so ids don't turn into new time series.
+ */
+
+const client = require('prom-client');
+
+// Query middleware that mongoose runs for the calls the app makes
+const QUERY_OPERATIONS = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany',
+  'deleteOne', 'deleteMany', 'replaceOne'
+];
+
+const createMetrics = ({ prefix = 'mcp_' } = {}) => {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix });
+
+  const httpRequests = new client.Counter({
+    name: `${prefix}http_requests_total`,
+    help: 'HTTP requests handled',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+  });
+
+  const httpDuration = new client.Histogram({
+    name: `${prefix}http_request_duration_seconds`,
+    help: 'HTTP request latency',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+  });
+
+  const dbDuration = new client.Histogram({
+    name: `${prefix}db_query_duration_seconds`,
+    help: 'MongoDB operation latency',
+    labelNames: ['model', 'operation'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [registry]
+  });
+
+  // Read when scraped rather than counted up and down, so it can't drift.
+  // Summed over every Socket.IO server in the process.
+  const socketServers = new Set();
+  registry.registerMetric(new client.Gauge({
+    name: `${prefix}socket_connections`,
+    help: 'Open Socket.IO connections on this node',
+    registers: [],
+    collect () {
+      let open = 0;
+      for (const io of socketServers) open += io.of('/').sockets.size;
+      this.set(open);
+    }
+  }));
+
+  const httpMiddleware = (req, res, next) => {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: String(res.statusCode)
+      };
+      end(labels);
+      httpRequests.inc(labels);
+    });
+    next();
+  };
+
+  // Times every query, aggregation, save and insertMany. Register it with
+  // mongoose.plugin() before any model is compiled.
+  const mongoosePlugin = (schema) => {
+    const started = new WeakMap();
+    const start = function () {
+      started.set(this, process.hrtime.bigint());
+    };
+    const observe = (target, model, operation) => {
+      const startedAt = started.get(target);
+      if (startedAt === undefined) return;
+      started.delete(target);
+      dbDuration.observe({ model, operation }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    };
+    // Failed operations are timed too; the error is passed on untouched
+    const hook = (operation, modelOf) => {
+      schema.pre(operation, start);
+      schema.post(operation, function () {
+        observe(this, modelOf(this), operation);
+      });
+      schema.post(operation, function (error, result, next) {
+        observe(this, modelOf(this), operation);
+        next(error);
+      });
+    };
+
+    for (const operation of QUERY_OPERATIONS) {
+      hook(operation, (query) => query.model.modelName);
+    }
+    hook('aggregate', (aggregate) => aggregate._model.modelName);
+    hook('insertMany', (model) => model.modelName);
+    // Embedded documents run save hooks too; only time the top-level save
+    schema.pre('save', function () {
+      if (!this.$isSubdocument) start.call(this);
+    });
+    schema.post('save', function () {
+      observe(this, this.constructor.modelName, 'save');
+    });
+    schema.post('save', function (error, doc, next) {
+      observe(this, this.constructor.modelName, 'save');
+      next(error);
+    });
+  };
+
+  return {
+    registry,
+    contentType: registry.contentType,
+    render: () => registry.metrics(),
+    httpMiddleware,
+    mongoosePlugin,
+    // Returns a function that stops tracking the server
+    trackSockets: (server) => {
+      socketServers.add(server);
+      return () => socketServers.delete(server);
+    }
+  };
+};
+
+module.exports = { createMetrics };
@@ -0,0 +1,684 @@
+/**
+ * 🚀 MCP SUPREME DEMO APP - OPENAPI SPECIFICATION
+ * Assembled with swagger-jsdoc. Request parameters and bodies are generated
+ * from the same Joi schemas the routes validate with, so the documented input
+ * is the enforced input. Responses and summaries are described below.
+ *
+ * checkSpecDrift() compares the spec with the routes actually registered on
+ * the Express app (paths, methods, auth and validation schema) so the two
+ * can't silently drift apart.
+ */
+
+const swaggerJsdoc = require('swagger-jsdoc');
+
+// Joi -> JSON Schema
+// Covers the subset of Joi the route schemas use, working from describe().
+const joiToSchema = (description) => {
+  const { type, flags = {}, rules = [], allow = [] } = description;
+  const rule = (name) => rules.find((item) => item.name === name);
+  const schema = {};
+
+  switch (type) {
+    case 'object':
+      schema.type = 'object';
+      schema.properties = {};
+      schema.additionalProperties = Boolean(flags.unknown);
+      for (const [key, child] of Object.entries(description.keys || {})) {
+        schema.properties[key] = joiToSchema(child);
+        if (child.flags && child.flags.presence === 'required') {
+          (schema.required = schema.required || []).push(key);
+        }
+      }
+      if (rule('min')) schema.minProperties = rule('min').args.limit;
+      for (const dependency of description.dependencies || []) {
+        if (dependency.rel === 'xor') {
+          schema.description = `Exactly one of: ${dependency.peers.join(', ')}`;
+        }
+      }
+      break;
+    case 'array':
+      schema.type = 'array';
+      schema.items = description.items && description.items.length > 0
+        ? joiToSchema(description.items[0])
+        : {};
+      break;
+    case 'number':
+      schema.type = rule('integer') ? 'integer' : 'number';
+      if (rule('min')) schema.minimum = rule('min').args.limit;
+      if (rule('max')) schema.maximum = rule('max').args.limit;
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    default:
+      schema.type = 'string';
+      if (rule('min')) schema.minLength = rule('min').args.limit;
+      if (rule('max')) schema.maxLength = rule('max').args.limit;
+      if (rule('email')) schema.format = 'email';
+      if (rule('hex')) schema.pattern = '^[0-9a-fA-F]+$';
+      if (rule('pattern')) {
+        schema.pattern = rule('pattern').args.regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+      }
+  }
+
+  if (flags.only) {
+    schema.enum = allow.filter((value) => value !== null);
+  }
+  if (allow.includes(null)) schema.nullable = true;
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+
+  return schema;
+};
+
+const toParameters = (joiSchema, location) => {
+  if (!joiSchema) return [];
+  const { properties, required = [] } = joiToSchema(joiSchema.describe());
+
+  return Object.entries(properties).map(([name, schema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema,
+    // Array query parameters are repeated: ?status=a&status=b
+    ...(schema.type === 'array' && { style: 'form', explode: true })
+  }));
+};
+
+// Express '/api/x/:id' and '/:response(a|b)' -> OpenAPI '/api/x/{id}'
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+const paged = (key, item) => ({
+  type: 'object',
+  properties: {
+    [key]: arrayOf(item),
+    total: { type: 'integer' },
+    page: { type: 'integer' },
+    pages: { type: 'integer' }
+  }
+});
+const objectId = { type: 'string', pattern: '^[a-f0-9]{24}$' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableNumber = { type: 'number', nullable: true };
+// Shared envelope of the time-series analytics responses
+const timeSeries = (properties) => ({
+  type: 'object',
+  properties: {
+    bucket: { type: 'string', enum: ['week', 'month'] },
+    from: dateTime,
+    to: dateTime,
+    buckets: { ...arrayOf(dateTime), description: 'Start of each bucket; series values line up with these' },
+    ...properties
+  }
+});
+const countBuckets = arrayOf({
+  type: 'object',
+  properties: { _id: { type: 'string' }, count: { type: 'integer' } }
+});
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string', description: 'Machine-readable error code, when there is one' }
+      }
+    },
+    ValidationError: {
+      type: 'object',
+      required: ['error', 'code', 'details'],
+      properties: {
+        error: { type: 'string', example: 'Validation failed' },
+        code: { type: 'string', enum: ['VALIDATION_ERROR'] },
+        details: arrayOf({
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            location: { type: 'string', enum: ['params', 'query', 'body'] },
+            message: { type: 'string' }
+          }
+        })
+      }
+    },
+    Message: {
+      type: 'object',
+      properties: { message: { type: 'string' } }
+    },
+    User: {
+      type: 'object',
+      properties: {
+        id: objectId,
+        username: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        role: { type: 'string', enum: ['user', 'admin'] },
+        emailVerified: { type: 'boolean' },
+        twoFactorEnabled: { type: 'boolean' }
+      }
+    },
+    UserSummary: {
+      type: 'object',
+      properties: { _id: objectId, username: { type: 'string' }, email: { type: 'string' } }
+    },
+    AdminUser: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        username: { type: 'string' },
+        email: { type: 'string' },
+        role: { type: 'string', enum: ['user', 'admin'] },
+        disabled: { type: 'boolean' },
+        emailVerified: { type: 'boolean' },
+        lockUntil: dateTime,
+        createdAt: dateTime
+      }
+    },
+    AuthResult: {
+      type: 'object',
+      description: 'Tokens are omitted when email verification or a second factor is still required',
+      properties: {
+        message: { type: 'string' },
+        token: { type: 'string', description: 'Short-lived access token' },
+        refreshToken: { type: 'string', description: 'Rotating refresh token, single use' },
+        user: ref('User'),
+        verificationRequired: { type: 'boolean' },
+        twoFactorRequired: { type: 'boolean' },
+        challengeToken: { type: 'string', description: 'Submit with the code to /api/auth/2fa/verify' }
+      }
+    },
+    Session: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        userAgent: { type: 'string' },
+        ip: { type: 'string' },
+        createdAt: dateTime,
+        lastUsedAt: dateTime,
+        expiresAt: dateTime,
+        current: { type: 'boolean' }
+      }
+    },
+    Membership: {
+      type: 'object',
+      properties: {
+        user: ref('UserSummary'),
+        role: { type: 'string', enum: ['maintainer', 'editor', 'viewer'] },
+        addedAt: dateTime
+      }
+    },
+    Invitation: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        user: ref('UserSummary'),
+        role: { type: 'string' },
+        status: { type: 'string', enum: ['pending', 'accepted', 'declined'] },
+        createdAt: dateTime
+      }
+    },
+    StatusChange: {
+      type: 'object',
+      properties: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        changedBy: ref('UserSummary'),
+        changedAt: dateTime,
+        reason: { type: 'string' },
+        override: { type: 'boolean' }
+      }
+    },
+    Project: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        __v: { type: 'integer', description: 'Version, bumped on every change; the ETag is this value in quotes' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        technology: { type: 'string' },
+        status: { type: 'string', enum: ['planning', 'development', 'testing', 'deployed'] },
+        owner: ref('UserSummary'),
+        collaborators: arrayOf(ref('Membership')),
+        statusHistory: arrayOf(ref('StatusChange')),
+        createdAt: dateTime,
+        updatedAt: dateTime,
+        deletedAt: { ...dateTime, description: 'Set while the project is in the trash' },
+        deletedBy: ref('UserSummary'),
+        purgeAt: { ...dateTime, description: 'Trash listing only: when the project is removed for good' },
+        role: { type: 'string', description: "The caller's role on the project" },
+        permissions: arrayOf({ type: 'string' })
+      }
+    },
+    ProjectExportRow: {
+      type: 'object',
+      description: 'Also the CSV columns, in this order',
+      properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        technology: { type: 'string' },
+        status: { type: 'string' },
+        owner: { type: 'string', description: 'Owner username' },
+        role: { type: 'string', description: "The exporting user's role" },
+        createdAt: dateTime,
+        updatedAt: dateTime
+      }
+    },
+    ImportReport: {
+      type: 'object',
+      properties: {
+        dryRun: { type: 'boolean' },
+        total: { type: 'integer' },
+        valid: { type: 'integer' },
+        imported: { type: 'integer' },
+        errors: arrayOf({
+          type: 'object',
+          properties: {
+            row: { type: 'integer', description: '1-based, not counting the CSV header' },
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }),
+        warnings: arrayOf({
+          type: 'object',
+          description: 'Rows that import, but not as given',
+          properties: {
+            row: { type: 'integer' },
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        })
+      }
+    },
+    Task: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        project: objectId,
+        title: { type: 'string' },
+        description: { type: 'string' },
+        assignee: ref('UserSummary'),
+        priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+        dueDate: dateTime,
+        column: { type: 'string', enum: ['todo', 'in-progress', 'review', 'done'] },
+        position: { type: 'integer' },
+        createdBy: ref('UserSummary'),
+        completedAt: dateTime,
+        createdAt: dateTime,
+        updatedAt: dateTime
+      }
+    },
+    Comment: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        project: objectId,
+        author: ref('UserSummary'),
+        parent: { ...objectId, nullable: true },
+        body: { type: 'string', description: 'Markdown' },
+        mentions: arrayOf(ref('UserSummary')),
+        editedAt: dateTime,
+        deletedAt: dateTime,
+        createdAt: dateTime
+      }
+    },
+    Attachment: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        project: objectId,
+        uploadedBy: ref('UserSummary'),
+        originalName: { type: 'string' },
+        contentType: { type: 'string' },
+        size: { type: 'integer' },
+        checksum: { type: 'string', description: 'SHA-256 of the file contents' },
+        createdAt: dateTime
+      }
+    },
+    Notification: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        type: { type: 'string', enum: ['invitation', 'status-change', 'comment', 'mention'] },
+        message: { type: 'string' },
+        project: { type: 'object', properties: { _id: objectId, name: { type: 'string' } } },
+        actor: ref('UserSummary'),
+        data: { type: 'object' },
+        readAt: dateTime,
+        createdAt: dateTime
+      }
+    },
+    Activity: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        project: objectId,
+        projectName: { type: 'string' },
+        actor: ref('UserSummary'),
+        action: { type: 'string' },
+        changes: arrayOf({
+          type: 'object',
+          properties: { field: { type: 'string' }, from: {}, to: {} }
+        }),
+        details: { type: 'object' },
+        createdAt: dateTime
+      }
+    },
+    HealthCheck: {
+      type: 'object',
+      properties: {
+        ok: { type: 'boolean' },
+        latencyMs: { type: 'integer' },
+        error: { type: 'string' }
+      }
+    },
+    Readiness: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ready', 'degraded', 'unavailable'], description: 'degraded: MongoDB is up but the configured Redis is not; answered with 503 like unavailable' },
+        checks: {
+          type: 'object',
+          properties: { mongodb: ref('HealthCheck'), redis: { ...ref('HealthCheck'), description: 'Only when REDIS_URL is set' } }
+        },
+        timestamp: dateTime,
+        version: { type: 'string' }
+      }
+    },
+    SecurityEvent: {
+      type: 'object',
+      properties: {
+        _id: objectId,
+        type: { type: 'string', enum: ['account-locked', 'account-unlocked', 'ip-blocked'] },
+        user: ref('UserSummary'),
+        email: { type: 'string' },
+        ip: { type: 'string' },
+        userAgent: { type: 'string' },
+        details: { type: 'object' },
+        createdAt: dateTime
+      }
+    }
+  }
+};
+
+// Route table
+// One entry per Express route. `schema` names the entry in server.js
+// `schemas` that the route validates with; `auth` is 'user' or 'admin'.
+const ROUTES = [
+  { method: 'get', path: '/health', tag: 'Meta', summary: 'Readiness check (same as /health/ready)', response: ref('Readiness'), unavailable: true },
+  { method: 'get', path: '/health/ready', tag: 'Meta', summary: 'Readiness: MongoDB, and Redis when configured', response: ref('Readiness'), unavailable: true },
+  { method: 'get', path: '/health/live', tag: 'Meta', summary: 'Liveness: the process is up', response: { type: 'object', properties: { status: { type: 'string' }, uptimeSeconds: { type: 'integer' }, timestamp: dateTime } } },
+  { method: 'get', path: '/metrics', tag: 'Meta', summary: 'Prometheus metrics (Bearer METRICS_TOKEN when set)', text: true, errors: [401] },
+  { method: 'get', path: '/api/openapi.json', tag: 'Meta', summary: 'This OpenAPI document', response: { type: 'object' } },
+
+  { method: 'post', path: '/api/auth/register', tag: 'Auth', summary: 'Register an account', schema: 'register', status: 201, response: ref('AuthResult'), errors: [429] },
+  { method: 'post', path: '/api/auth/login', tag: 'Auth', summary: 'Log in, or start a two-factor challenge', schema: 'login', response: ref('AuthResult'), errors: [401, 403, 423, 429] },
+  { method: 'post', path: '/api/auth/2fa/verify', tag: 'Auth', summary: 'Complete a two-factor login', schema: 'twoFactorVerify', response: ref('AuthResult'), errors: [401, 429] },
+  { method: 'get', path: '/api/auth/2fa', tag: 'Two-factor', summary: 'Two-factor status', auth: 'user', response: { type: 'object', properties: { enabled: { type: 'boolean' }, enabledAt: dateTime, recoveryCodesRemaining: { type: 'integer' } } } },
+  { method: 'post', path: '/api/auth/2fa/setup', tag: 'Two-factor', summary: 'Generate a TOTP secret to enroll', auth: 'user', response: { type: 'object', properties: { secret: { type: 'string' }, otpauthUrl: { type: 'string' } } } },
+  { method: 'post', path: '/api/auth/2fa/enable', tag: 'Two-factor', summary: 'Confirm enrollment and receive recovery codes', auth: 'user', schema: 'twoFactorCode', response: { type: 'object', properties: { message: { type: 'string' }, recoveryCodes: arrayOf({ type: 'string' }) } } },
+  { method: 'post', path: '/api/auth/2fa/recovery-codes', tag: 'Two-factor', summary: 'Regenerate recovery codes', auth: 'user', schema: 'twoFactorCode', response: { type: 'object', properties: { recoveryCodes: arrayOf({ type: 'string' }) } } },
+  { method: 'post', path: '/api/auth/2fa/disable', tag: 'Two-factor', summary: 'Turn off two-factor authentication', auth: 'user', schema: 'twoFactorDisable', response: ref('Message') },
+  { method: 'post', path: '/api/auth/unlock', tag: 'Auth', summary: 'Unlock an account from an emailed link', schema: 'linkToken', response: ref('Message'), errors: [429] },
+  { method: 'post', path: '/api/auth/verify-email', tag: 'Auth', summary: 'Confirm an email address', schema: 'linkToken', response: ref('Message'), errors: [429] },
+  { method: 'post', path: '/api/auth/resend-verification', tag: 'Auth', summary: 'Send a new verification link', schema: 'email', response: ref('Message'), errors: [429] },
+  { method: 'post', path: '/api/auth/forgot-password', tag: 'Auth', summary: 'Email a password reset link', schema: 'email', response: ref('Message'), errors: [429] },
+  { method: 'post', path: '/api/auth/reset-password', tag: 'Auth', summary: 'Set a new password with a reset token', schema: 'resetPassword', response: ref('Message'), errors: [429] },
+  { method: 'post', path: '/api/auth/refresh', tag: 'Auth', summary: 'Rotate the refresh token', schema: 'refresh', response: { type: 'object', properties: { token: { type: 'string' }, refreshToken: { type: 'string' } } }, errors: [401, 403] },
+  { method: 'post', path: '/api/auth/logout', tag: 'Sessions', summary: 'Revoke the current session', auth: 'user', response: ref('Message') },
+  { method: 'get', path: '/api/auth/sessions', tag: 'Sessions', summary: 'List active sessions', auth: 'user', response: arrayOf(ref('Session')) },
+  { method: 'delete', path: '/api/auth/sessions/:sessionId', tag: 'Sessions', summary: 'Revoke one session', auth: 'user', schema: 'session', response: ref('Message') },
+  { method: 'delete', path: '/api/auth/sessions', tag: 'Sessions', summary: 'Revoke every other session', auth: 'user', response: ref('Message') },
+
+  { method: 'get', path: '/api/projects', tag: 'Projects', summary: 'List, filter and search accessible projects', auth: 'user', schema: 'listProjects', response: { type: 'object', properties: { projects: arrayOf(ref('Project')), total: { type: 'integer' }, hasMore: { type: 'boolean' }, nextCursor: { type: 'string', nullable: true } } } },
+  { method: 'post', path: '/api/projects', tag: 'Projects', summary: 'Create a project', auth: 'user', schema: 'createProject', status: 201, response: ref('Project') },
+  { method: 'get', path: '/api/projects/workflow', tag: 'Projects', summary: 'Statuses and allowed transitions', auth: 'user', response: { type: 'object', properties: { statuses: arrayOf({ type: 'string' }), transitions: { type: 'object', additionalProperties: arrayOf({ type: 'string' }) } } } },
+  { method: 'get', path: '/api/projects/export', tag: 'Projects', summary: 'Export accessible projects as JSON or CSV (?format=csv)', auth: 'user', schema: 'exportProjects', csv: true, response: { type: 'object', properties: { exportedAt: dateTime, total: { type: 'integer' }, projects: arrayOf(ref('ProjectExportRow')) } } },
+  { method: 'post', path: '/api/projects/import', tag: 'Projects', summary: 'Bulk import projects; ?dryRun=true only validates (200)', auth: 'user', schema: 'importProjects', status: 201, response: ref('ImportReport'), errors: [422] },
+  { method: 'get', path: '/api/projects/:id', tag: 'Projects', summary: 'Get a project', auth: 'user', schema: 'project', response: ref('Project') },
+  { method: 'put', path: '/api/projects/:id', tag: 'Projects', summary: 'Update project fields', auth: 'user', schema: 'updateProject', response: ref('Project'), ifMatch: true, errors: [409, 428] },
+  { method: 'post', path: '/api/projects/:id/status', tag: 'Projects', summary: 'Move a project through the status workflow', auth: 'user', schema: 'changeStatus', response: ref('Project'), errors: [409, 422], conflict: true },
+  { method: 'delete', path: '/api/projects/:id', tag: 'Projects', summary: 'Move a project to the trash', auth: 'user', schema: 'project', response: { type: 'object', properties: { message: { type: 'string' }, projectId: objectId, purgeAt: dateTime } }, conflict: true },
+  { method: 'get', path: '/api/projects/trash', tag: 'Projects', summary: 'Your trashed projects, purged after the retention period', auth: 'user', response: { type: 'object', properties: { retentionDays: { type: 'integer' }, projects: arrayOf(ref('Project')) } } },
+  { method: 'post', path: '/api/projects/:id/restore', tag: 'Projects', summary: 'Restore a project from the trash (owner only)', auth: 'user', schema: 'project', response: ref('Project'), conflict: true },
+  { method: 'get', path: '/api/projects/:id/activity', tag: 'Activity', summary: 'Project activity log', auth: 'user', schema: 'activity', response: paged('activity', ref('Activity')) },
+
+  { method: 'get', path: '/api/projects/:id/tasks', tag: 'Tasks', summary: 'List the task board', auth: 'user', schema: 'listTasks', response: { type: 'object', properties: { columns: arrayOf({ type: 'string' }), priorities: arrayOf({ type: 'string' }), tasks: arrayOf(ref('Task')) } } },
+  { method: 'post', path: '/api/projects/:id/tasks', tag: 'Tasks', summary: 'Create a task', auth: 'user', schema: 'createTask', status: 201, response: ref('Task') },
+  { method: 'patch', path: '/api/projects/:id/tasks/:taskId', tag: 'Tasks', summary: 'Update a task', auth: 'user', schema: 'updateTask', response: ref('Task') },
+  { method: 'post', path: '/api/projects/:id/tasks/:taskId/move', tag: 'Tasks', summary: 'Move a task within or between columns', auth: 'user', schema: 'moveTask', response: { type: 'object', properties: { task: ref('Task'), order: { type: 'object', additionalProperties: arrayOf(objectId) } } } },
+  { method: 'delete', path: '/api/projects/:id/tasks/:taskId', tag: 'Tasks', summary: 'Delete a task', auth: 'user', schema: 'task', response: ref('Message') },
+
+  { method: 'get', path: '/api/projects/:id/attachments', tag: 'Attachments', summary: 'List files and storage usage', auth: 'user', schema: 'project', response: { type: 'object', properties: { attachments: arrayOf(ref('Attachment')), usage: { type: 'object', properties: { used: { type: 'integer' }, quota: { type: 'integer' }, maxFileSize: { type: 'integer' }, allowedTypes: arrayOf({ type: 'string' }) } } } } },
+  { method: 'post', path: '/api/projects/:id/attachments', tag: 'Attachments', summary: 'Upload a file', auth: 'user', schema: 'project', upload: true, status: 201, response: ref('Attachment'), errors: [413, 415] },
+  { method: 'get', path: '/api/projects/:id/attachments/:attachmentId/download', tag: 'Attachments', summary: 'Download a file', auth: 'user', schema: 'attachment', binary: true },
+  { method: 'delete', path: '/api/projects/:id/attachments/:attachmentId', tag: 'Attachments', summary: 'Delete a file', auth: 'user', schema: 'attachment', response: ref('Message') },
+
+  { method: 'get', path: '/api/projects/:id/comments', tag: 'Comments', summary: 'List comments (flat, oldest first)', auth: 'user', schema: 'comments', response: arrayOf(ref('Comment')) },
+  { method: 'post', path: '/api/projects/:id/comments', tag: 'Comments', summary: 'Post a comment or reply', auth: 'user', schema: 'createComment', status: 201, response: ref('Comment') },
+  { method: 'patch', path: '/api/projects/:id/comments/:commentId', tag: 'Comments', summary: 'Edit your comment', auth: 'user', schema: 'updateComment', response: ref('Comment') },
+  { method: 'delete', path: '/api/projects/:id/comments/:commentId', tag: 'Comments', summary: 'Delete your comment', auth: 'user', schema: 'comment', response: ref('Message') },
+
+  { method: 'get', path: '/api/projects/:id/members', tag: 'Members', summary: 'List members and pending invitations', auth: 'user', schema: 'project', response: { type: 'object', properties: { owner: ref('UserSummary'), collaborators: arrayOf(ref('Membership')), invitations: arrayOf(ref('Invitation')), role: { type: 'string' }, permissions: arrayOf({ type: 'string' }) } } },
+  { method: 'post', path: '/api/projects/:id/invitations', tag: 'Members', summary: 'Invite a user by username or email', auth: 'user', schema: 'invite', status: 201, response: ref('Invitation'), conflict: true },
+  { method: 'delete', path: '/api/projects/:id/invitations/:invitationId', tag: 'Members', summary: 'Cancel a pending invitation', auth: 'user', schema: 'projectInvitation', response: ref('Message'), conflict: true },
+  { method: 'get', path: '/api/invitations', tag: 'Members', summary: 'Your pending invitations', auth: 'user', response: arrayOf({ type: 'object' }) },
+  { method: 'post', path: '/api/invitations/:invitationId/:response(accept|decline)', tag: 'Members', summary: 'Accept or decline an invitation', auth: 'user', schema: 'respondInvitation', response: { type: 'object', properties: { message: { type: 'string' }, projectId: objectId } }, conflict: true },
+  { method: 'patch', path: '/api/projects/:id/members/:userId', tag: 'Members', summary: "Change a member's role", auth: 'user', schema: 'memberRole', response: { type: 'object', properties: { message: { type: 'string' }, userId: objectId, role: { type: 'string' } } }, conflict: true },
+  { method: 'delete', path: '/api/projects/:id/members/:userId', tag: 'Members', summary: 'Remove a member', auth: 'user', schema: 'member', response: ref('Message'), conflict: true },
+  { method: 'post', path: '/api/projects/:id/transfer-ownership', tag: 'Members', summary: 'Hand the project to another member', auth: 'user', schema: 'transferOwnership', response: ref('Project'), conflict: true },
+
+  { method: 'get', path: '/api/notifications', tag: 'Notifications', summary: 'List your notifications', auth: 'user', schema: 'listNotifications', response: { ...paged('notifications', ref('Notification')), properties: { ...paged('notifications', ref('Notification')).properties, unread: { type: 'integer' } } } },
+  { method: 'post', path: '/api/notifications/read-all', tag: 'Notifications', summary: 'Mark every notification read', auth: 'user', response: { type: 'object', properties: { message: { type: 'string' }, updated: { type: 'integer' } } } },
+  { method: 'post', path: '/api/notifications/:id/read', tag: 'Notifications', summary: 'Mark a notification read', auth: 'user', schema: 'notification', response: ref('Notification') },
+  { method: 'delete', path: '/api/notifications/:id', tag: 'Notifications', summary: 'Delete a notification', auth: 'user', schema: 'notification', response: ref('Message') },
+
+  { method: 'get', path: '/api/analytics/stats', tag: 'Analytics', summary: 'Dashboard counts', auth: 'user', response: { type: 'object', properties: { userCount: { type: 'integer' }, projectCount: { type: 'integer' }, userProjects: { type: 'integer' }, projectsByStatus: countBuckets, projectsByTechnology: countBuckets } } },
+  { method: 'get', path: '/api/analytics/projects-over-time', tag: 'Analytics', summary: 'Projects created and deployed per bucket', auth: 'user', schema: 'analyticsSeries', response: timeSeries({ created: arrayOf({ type: 'integer' }), deployed: arrayOf({ type: 'integer' }) }) },
+  { method: 'get', path: '/api/analytics/status-durations', tag: 'Analytics', summary: 'Average hours spent in each status', auth: 'user', schema: 'analyticsSeries', response: timeSeries({ statuses: { type: 'object', additionalProperties: arrayOf(nullableNumber) }, overall: { type: 'object', additionalProperties: { type: 'object', properties: { count: { type: 'integer' }, averageHours: nullableNumber } } } }) },
+  { method: 'get', path: '/api/analytics/lead-time', tag: 'Analytics', summary: 'Hours from planning to deployed', auth: 'user', schema: 'analyticsSeries', response: timeSeries({ count: arrayOf({ type: 'integer' }), averageHours: arrayOf(nullableNumber), overall: { type: 'object', properties: { count: { type: 'integer' }, averageHours: nullableNumber, medianHours: nullableNumber } } }) },
+  { method: 'get', path: '/api/analytics/member-throughput', tag: 'Analytics', summary: 'Tasks completed per assignee', auth: 'user', schema: 'analyticsSeries', response: timeSeries({ members: arrayOf({ type: 'object', properties: { user: { ...ref('UserSummary'), nullable: true }, total: { type: 'integer' }, completed: arrayOf({ type: 'integer' }) } }) }) },
+
+  { method: 'get', path: '/api/admin/users', tag: 'Admin', summary: 'List and search users', auth: 'admin', schema: 'adminUsers', response: paged('users', ref('AdminUser')) },
+  { method: 'patch', path: '/api/admin/users/:id/role', tag: 'Admin', summary: 'Promote or demote a user', auth: 'admin', schema: 'adminUserRole', response: ref('AdminUser') },
+  { method: 'patch', path: '/api/admin/users/:id/status', tag: 'Admin', summary: 'Disable or re-enable an account', auth: 'admin', schema: 'adminUserStatus', response: ref('AdminUser') },
+  { method: 'post', path: '/api/admin/users/:id/unlock', tag: 'Admin', summary: 'Lift a login lockout', auth: 'admin', schema: 'adminUser', response: ref('Message') },
+  { method: 'get', path: '/api/admin/security-events', tag: 'Admin', summary: 'Lockout and blocking events', auth: 'admin', schema: 'adminSecurityEvents', response: paged('events', ref('SecurityEvent')) },
+  { method: 'get', path: '/api/admin/projects', tag: 'Admin', summary: 'List every project', auth: 'admin', schema: 'adminProjects', response: paged('projects', ref('Project')) },
+  { method: 'post', path: '/api/admin/projects/:id/reassign', tag: 'Admin', summary: 'Give a project a new owner', auth: 'admin', schema: 'adminReassign', response: ref('Project'), conflict: true },
+  { method: 'get', path: '/api/admin/activity', tag: 'Admin', summary: 'Activity across projects, filterable by actor', auth: 'admin', schema: 'adminActivity', response: paged('activity', ref('Activity')) },
+  { method: 'get', path: '/api/admin/stats', tag: 'Admin', summary: 'System-wide stats', auth: 'admin', response: { type: 'object' } }
+];
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: ref(schema) } }
+});
+
+const ERROR_DESCRIPTIONS = {
+  401: 'Missing, expired or revoked credentials',
+  403: 'Not allowed',
+  404: 'Not found, or not visible to the caller',
+  409: 'Conflicting concurrent change',
+  413: 'File or quota too large',
+  415: 'File type not allowed',
+  422: 'Not allowed by the status workflow',
+  423: 'Account temporarily locked',
+  428: 'If-Match header missing',
+  429: 'Too many attempts; see Retry-After',
+  500: 'Internal server error'
+};
+
+const buildOperation = (route, schemas) => {
+  const validation = route.schema ? schemas[route.schema] : {};
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    'x-validation-schema': route.schema,
+    parameters: [
+      ...toParameters(validation.params, 'path'),
+      ...toParameters(validation.query, 'query'),
+      ...(route.ifMatch
+        ? [{ name: 'If-Match', in: 'header', required: true, description: 'ETag of the version the change is based on', schema: { type: 'string' } }]
+        : [])
+    ],
+    responses: {}
+  };
+
+  if (route.auth) {
+    operation.security = [{ bearerAuth: [] }];
+  }
+
+  if (route.upload) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            required: ['file'],
+            properties: { file: { type: 'string', format: 'binary' } }
+          }
+        }
+      }
+    };
+  } else if (validation.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: joiToSchema(validation.body.describe()) } }
+    };
+  }
+
+  if (route.binary) {
+    operation.responses[route.status || 200] = { description: 'File contents', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } };
+  } else if (route.text) {
+    operation.responses[route.status || 200] = { description: 'Success', content: { 'text/plain': { schema: { type: 'string' } } } };
+  } else {
+    operation.responses[route.status || 200] = {
+      description: 'Success',
+      content: {
+        'application/json': { schema: route.response },
+        ...(route.csv && { 'text/csv': { schema: { type: 'string' } } })
+      }
+    };
+  }
+
+  const errors = new Set(route.errors || []);
+  if (route.schema || route.upload) operation.responses[400] = errorResponse('Invalid request', 'ValidationError');
+  if (route.auth) ['401', '403'].forEach((status) => errors.add(Number(status)));
+  if (/:\w+/.test(route.path)) errors.add(404);
+  errors.add(500);
+  for (const status of [...errors].sort()) {
+    operation.responses[status] = errorResponse(ERROR_DESCRIPTIONS[status] || 'Error');
+  }
+  if (route.unavailable) {
+    operation.responses[503] = {
+      description: 'A required dependency is down',
+      content: { 'application/json': { schema: route.response } }
+    };
+  }
+  if (route.ifMatch || route.conflict) {
+    operation.responses[409] = {
+      description: route.ifMatch
+        ? 'The project changed since the If-Match version; `current` holds the latest state'
+        : 'A concurrent change to the project landed first; `current` holds the latest state when the caller is a member',
+      content: {
+        'application/json': {
+          schema: { allOf: [ref('Error'), { type: 'object', properties: { current: ref('Project') } }] }
+        }
+      }
+    };
+  }
+
+  return operation;
+};
+
+const buildOpenApiSpec = ({ schemas, version = '1.0.0', serverUrl = '/' }) => {
+  const paths = {};
+  for (const route of ROUTES) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route, schemas);
+  }
+
+  return swaggerJsdoc({
+    definition: {
+      openapi: '3.0.3',
+      info: {
+        title: 'MCP Supreme Demo App API',
+        version,
+        description: 'REST API for projects, members, tasks, comments and files. ' +
+          'Errors share the Error shape; validation failures use ValidationError with one entry per field.'
+      },
+      servers: [{ url: serverUrl }],
+      components,
+      paths
+    },
+    apis: []
+  });
+};
+
+// Drift check
+// Lists every route registered on `app` (an app or a router, descending into
+// routers mounted at the root) and compares it with ROUTES: each route must
+// be documented, each documented route must exist, and auth and validation
+// schema must match what the route really uses.
+const routeLayers = (stack) => stack.flatMap((layer) => {
+  if (layer.route) return [layer];
+  return layer.name === 'router' ? routeLayers(layer.handle.stack) : [];
+});
+
+const listAppRoutes = (app) => routeLayers((app._router || app).stack)
+  .flatMap((layer) => Object.keys(layer.route.methods)
+    .filter((method) => method !== '_all')
+    .map((method) => {
+      const handlers = layer.route.stack.map((item) => item.handle);
+      const validator = handlers.find((handle) => handle.schemas);
+      return {
+        method,
+        path: layer.route.path,
+        auth: handlers.some((handle) => handle.name === 'requireAdmin')
+          ? 'admin'
+          : handlers.some((handle) => handle.name === 'authenticateToken') ? 'user' : undefined,
+        schemas: validator && validator.schemas
+      };
+    }));
+
+const checkSpecDrift = (app, schemas) => {
+  const problems = [];
+  const documented = new Map(ROUTES.map((route) => [`${route.method} ${route.path}`, route]));
+  const registered = listAppRoutes(app);
+
+  for (const actual of registered) {
+    const key = `${actual.method} ${actual.path}`;
+    const route = documented.get(key);
+    if (!route) {
+      problems.push(`${key} is not documented`);
+      continue;
+    }
+    documented.delete(key);
+
+    if (route.auth !== actual.auth) {
+      problems.push(`${key} is documented with auth "${route.auth || 'none'}" but uses "${actual.auth || 'none'}"`);
+    }
+    if ((route.schema ? schemas[route.schema] : undefined) !== actual.schemas) {
+      problems.push(`${key} is documented with schema "${route.schema || 'none'}" but validates differently`);
+    }
+  }
+
+  for (const key of documented.keys()) {
+    problems.push(`${key} is documented but not registered`);
+  }
+
+  return problems;
+};
+
+module.exports = { buildOpenApiSpec, checkSpecDrift, joiToSchema, ROUTES };
@@ -0,0 +1,93 @@
+/**
+ * 🚀 MCP SUPREME DEMO APP - DATA MIGRATIONS
+ * Brings existing documents in line with the current schema.
+ * Every migration is idempotent, so the script is safe to re-run.
+ */
+
+const mongoose = require('mongoose');
+const { createLogger } = require('../logger');
+
+const logger = createLogger({ ...process.env, LOG_SERVICE: 'migrate' });
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mcp-supreme-demo';
+
+const migrations = [
+  {
+    name: 'collaborator-roles',
+    // Collaborators used to be a bare list of user ids; each membership now
+    // carries a role. Existing collaborators could edit, so they become editors.
+    up: async (db) => {
+      const projects = db.collection('projects');
+      const cursor = projects.find({ collaborators: { $type: 'objectId' } });
+      let migrated = 0;
+
+      for await (const project of cursor) {
+        const collaborators = project.collaborators.map((member) => (
+          member instanceof mongoose.Types.ObjectId
+            ? { user: member, role: 'editor', addedAt: project.updatedAt || new Date() }
+            : member
+        ));
+
+        await projects.updateOne({ _id: project._id }, { $set: { collaborators } });
+        migrated += 1;
+      }
+
+      return migrated;
+    }
+  },
+  {
+    name: 'email-verified-legacy-users',
+    // Accounts created before email verification existed are grandfathered in
+    // so REQUIRE_EMAIL_VERIFICATION doesn't lock them out.
+    up: async (db) => {
+      const result = await db.collection('users').updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      );
+
+      return result.modifiedCount;
+    }
+  },
+  {
+    name: 'project-status-history',
+    // Status changes are now recorded. Older projects get a single entry for
+    // their current status, dated at creation since the real date is unknown.
+    up: async (db) => {
+      const projects = db.collection('projects');
+      const cursor = projects.find({ statusHistory: { $exists: false } });
+      let migrated = 0;
+
+      for await (const project of cursor) {
+        await projects.updateOne({ _id: project._id }, {
+          $set: {
+            statusHistory: [{
+              to: project.status || 'planning',
+              changedBy: project.owner,
+              changedAt: project.createdAt || new Date(),
+              override: false
+            }]
+          }
+        });
+        migrated += 1;
+      }
+
+      return migrated;
+    }
+  }
+];
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+
+  for (const migration of migrations) {
+    const migrated = await migration.up(mongoose.connection.db);
+    logger.info('Migration applied', { migration: migration.name, migrated });
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  logger.error('Migration failed', { error });
+  process.exitCode = 1;
+  await mongoose.disconnect();
+});
@@ -10,385 +10,4532 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const crypto = require('crypto');
+const http = require('http');
+const nodemailer = require('nodemailer');
+const Joi = require('joi');
+const multer = require('multer');
+const swaggerUi = require('swagger-ui-express');
+const socketIo = require('socket.io');
+const { createStorage } = require('./storage');
+const { createCache } = require('./cache');
+const { createLogger, requestContext, requestIdFor, accessLog } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { buildOpenApiSpec, checkSpecDrift } = require('./openapi');
 
-const app = express();
+// Routes are registered on this router as the module loads; createServer()
+// mounts it on an app of its own, so several servers can share one process.
+const router = express.Router();
 const PORT = process.env.PORT || 5000;
 
-// Security middleware
-app.use(helmet());
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Logging
+// JSON or pretty, at LOG_LEVEL, with credentials redacted (see logger.js).
+// Inside a request use req.log, which tags entries with the request id.
+const logger = createLogger();
+
+// Metrics
+// Prometheus metrics served at /metrics (see metrics.js). The mongoose plugin
+// times queries, and has to be registered before the first model is compiled.
+const metrics = createMetrics();
+mongoose.plugin(metrics.mongoosePlugin);
+
+// Token settings
+const JWT_SECRET = process.env.JWT_SECRET || 'mcp-supreme-secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Login protection settings
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES, 10) || 15;
+const IP_MAX_FAILED_LOGINS = parseInt(process.env.IP_MAX_FAILED_LOGINS, 10) || 20;
+const FAILED_LOGIN_WINDOW_MINUTES = parseInt(process.env.FAILED_LOGIN_WINDOW_MINUTES, 10) || 15;
+// Failures allowed before attempts start being spaced out
+const LOGIN_DELAY_AFTER = 2;
+
+// Cache settings
+// The cache itself is per server (see createServer() and cache.js)
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 60;
+
+// Rate limiting
+// A generous limit for regular API use, and a much stricter one for the
+// routes that take credentials or tokens (applied per route below). Both
+// count in the server's cache, so createServer() builds them.
+const authLimiter = (req, res, next) => req.app.locals.authLimiter(req, res, next);
+
+// Mail transport
+// MAIL_TRANSPORT=json renders messages without delivering them, which is handy
+// in tests; anything else goes over SMTP (point SMTP_HOST at a local stand-in
+// such as MailHog during development). Each server keeps its transport on
+// app.locals, so it can also be swapped programmatically.
+const createMailTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const sendMail = (req, message) => req.app.locals.mailer.sendMail({
+  from: process.env.MAIL_FROM || 'MCP Supreme <no-reply@mcp-supreme.local>',
+  ...message
+});
+
+// Attachment storage
+// STORAGE_DRIVER picks the backend (see storage.js). Like the mailer, each
+// server keeps it on app.locals so it can be swapped programmatically.
+const ATTACHMENT_MAX_FILE_MB = parseInt(process.env.ATTACHMENT_MAX_FILE_MB, 10) || 10;
+const ATTACHMENT_PROJECT_QUOTA_MB = parseInt(process.env.ATTACHMENT_PROJECT_QUOTA_MB, 10) || 100;
+const ATTACHMENT_MIME_TYPES = process.env.ATTACHMENT_MIME_TYPES
+  ? process.env.ATTACHMENT_MIME_TYPES.split(',').map((type) => type.trim()).filter(Boolean)
+  : [
+      'image/png',
+      'image/jpeg',
+      'image/gif',
+      'image/webp',
+      'application/pdf',
+      'text/plain',
+      'text/markdown',
+      'text/csv',
+      'application/json',
+      'application/zip',
+      'application/gzip',
+      'application/x-tar',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    ];
+
+// MongoDB connection settings
+// start() connects; createServer() alone doesn't, so tests can bring their own
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mcp-supreme-demo';
+
+// Trash settings
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  disabled: { type: Boolean, default: false },
+  disabledAt: { type: Date },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockUntil: { type: Date },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String },
+    // Generated by /2fa/setup and promoted to `secret` once confirmed
+    pendingSecret: { type: String },
+    // SHA-256 hashes; each code is removed once used
+    recoveryCodes: [{ type: String }],
+    lastUsedStep: { type: Number }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', userSchema);
+
+// Session Schema
+// One document per signed-in device. Only a hash of the current refresh token
+// is kept, and it changes on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date }
+});
+
+// Let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// One-time token Schema
+// Backs emailed links (password reset, email verification). Tokens are stored
+// hashed and are consumed atomically, so each link works exactly once.
+const authTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password-reset', 'email-verification', 'account-unlock'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+// Login failure Schema
+// Short-lived record of every failed login, used for per-IP throttling
+const loginFailureSchema = new mongoose.Schema({
+  ip: { type: String, required: true },
+  email: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+loginFailureSchema.index({ ip: 1, createdAt: -1 });
+loginFailureSchema.index({ createdAt: 1 }, { expireAfterSeconds: FAILED_LOGIN_WINDOW_MINUTES * 60 });
+
+const LoginFailure = mongoose.model('LoginFailure', loginFailureSchema);
+
+// Security event Schema
+// Permanent log of lockouts and blocks for the admin console
+const securityEventSchema = new mongoose.Schema({
+  type: { type: String, enum: ['account-locked', 'account-unlocked', 'ip-blocked'], required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String },
+  ip: { type: String },
+  userAgent: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+const PROJECT_STATUSES = ['planning', 'development', 'testing', 'deployed'];
+
+// Allowed status moves. Projects step through the workflow one stage at a
+// time and may fall back a stage; only an admin override can skip testing.
+// PROJECT_STATUS_TRANSITIONS (JSON, same shape) replaces the default.
+const DEFAULT_STATUS_TRANSITIONS = {
+  planning: ['development'],
+  development: ['planning', 'testing'],
+  testing: ['development', 'deployed'],
+  deployed: ['testing']
+};
+
+const loadStatusTransitions = () => {
+  if (!process.env.PROJECT_STATUS_TRANSITIONS) return DEFAULT_STATUS_TRANSITIONS;
+
+  const transitions = JSON.parse(process.env.PROJECT_STATUS_TRANSITIONS);
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!PROJECT_STATUSES.includes(from) || !Array.isArray(targets) ||
+        targets.some((status) => !PROJECT_STATUSES.includes(status))) {
+      throw new Error(`PROJECT_STATUS_TRANSITIONS has an invalid entry for "${from}"`);
+    }
+  }
+  return transitions;
+};
+
+const STATUS_TRANSITIONS = loadStatusTransitions();
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Project roles, from most to least privileged. The owner is stored on the
+// project itself; every other member carries one of the remaining roles.
+const PROJECT_ROLES = ['owner', 'maintainer', 'editor', 'viewer'];
+const MEMBER_ROLES = PROJECT_ROLES.filter((role) => role !== 'owner');
+
+const membershipSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: MEMBER_ROLES, default: 'editor' },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, enum: PROJECT_STATUSES },
+  to: { type: String, enum: PROJECT_STATUSES, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedAt: { type: Date, default: Date.now },
+  reason: { type: String },
+  override: { type: Boolean, default: false }
+}, { _id: false });
+
+// Project Schema
+const projectSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String },
+  technology: { type: String, required: true },
+  status: { type: String, enum: PROJECT_STATUSES, default: 'planning' },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  collaborators: [membershipSchema],
+  statusHistory: [statusChangeSchema],
+  invitations: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: MEMBER_ROLES, default: 'editor' },
+    status: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' },
+    createdAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  // Set while the project is in the trash
+  deletedAt: { type: Date },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  // Every save bumps __v and fails with a VersionError if someone else saved
+  // first; __v doubles as the project's ETag
+  optimisticConcurrency: true
+});
+
+// Backs the search box on the project grid
+projectSchema.index({ name: 'text', description: 'text' });
+// Listing is always scoped to owned or shared projects
+projectSchema.index({ owner: 1, updatedAt: -1 });
+projectSchema.index({ 'collaborators.user': 1, updatedAt: -1 });
+// Trash listing and the purge job
+projectSchema.index({ deletedAt: 1 }, { sparse: true });
+
+// Trashed projects stay in the collection until purged, but every query and
+// aggregation skips them unless it filters on deletedAt itself or opts in
+// with { withDeleted: true }
+const excludeDeleted = function () {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+};
+for (const operation of ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany']) {
+  projectSchema.pre(operation, excludeDeleted);
+}
+projectSchema.pre('aggregate', function () {
+  if (!this.options.withDeleted) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+const Project = mongoose.model('Project', projectSchema);
+
+const NOTIFICATION_TYPES = ['invitation', 'status-change', 'comment', 'mention'];
+
+// Notification Schema
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  message: { type: String, required: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  data: { type: mongoose.Schema.Types.Mixed },
+  readAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+const ACTIVITY_ACTIONS = [
+  'project.created',
+  'project.updated',
+  'project.deleted',
+  'project.restored',
+  'status.changed',
+  'member.invited',
+  'member.joined',
+  'member.role-changed',
+  'member.removed',
+  'invitation.declined',
+  'invitation.cancelled',
+  'ownership.transferred',
+  'task.created',
+  'task.updated',
+  'task.moved',
+  'task.deleted',
+  'attachment.added',
+  'attachment.removed'
+];
+
+// Activity Schema
+// An append-only audit trail. Entries outlive their project, so the name is
+// copied in at write time.
+const activitySchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  projectName: { type: String },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ACTIVITY_ACTIONS, required: true },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed }
+  }],
+  details: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+activitySchema.index({ project: 1, createdAt: -1 });
+activitySchema.index({ actor: 1, createdAt: -1 });
+
+const rejectActivityWrite = function () {
+  throw new Error('Activity entries are append-only');
+};
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']) {
+  activitySchema.pre(operation, rejectActivityWrite);
+}
+activitySchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Activity entries are append-only'));
+});
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+const TASK_COLUMNS = ['todo', 'in-progress', 'review', 'done'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Task Schema
+// Tasks are ordered within their column by `position`, kept contiguous from 0.
+const taskSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  title: { type: String, required: true },
+  description: { type: String },
+  assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  priority: { type: String, enum: TASK_PRIORITIES, default: 'medium' },
+  dueDate: { type: Date },
+  column: { type: String, enum: TASK_COLUMNS, default: 'todo' },
+  position: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+taskSchema.index({ project: 1, column: 1, position: 1 });
+taskSchema.index({ project: 1, assignee: 1 });
+
+const Task = mongoose.model('Task', taskSchema);
+
+// Comment Schema
+// Replies point at their parent. A deleted comment that still has replies
+// keeps its place in the thread with the body cleared.
+const commentSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
+  body: { type: String, default: '' },
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  editedAt: { type: Date },
+  deletedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+commentSchema.index({ project: 1, createdAt: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+// Attachment Schema
+// Metadata only; the bytes live in app.locals.storage under storageKey.
+const attachmentSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  originalName: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  checksum: { type: String },
+  storageDriver: { type: String, required: true },
+  storageKey: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+// Auth middleware
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) return res.status(403).json({ error: 'Invalid token' });
+
+    try {
+      // Role and account status may have changed since the token was issued,
+      // and the session behind it may have been revoked
+      const [account, session] = await Promise.all([
+        User.findById(user.userId).select('role disabled'),
+        user.sessionId ? Session.findById(user.sessionId).select('revokedAt') : null
+      ]);
+
+      if (!session || session.revokedAt) {
+        return res.status(401).json({ error: 'Session revoked' });
+      }
+
+      if (!account || account.disabled) {
+        return res.status(403).json({ error: 'Account disabled' });
+      }
+
+      req.user = { ...user, role: account.role };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+// Session helpers
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, username: user.username, role: user.role, sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens have the form "<sessionId>.<secret>"
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+const revokeSessions = async (req, filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) } },
+    { revokedAt: new Date() }
+  );
+  sessions.forEach((session) => req.app.locals.io.in(`session-${session._id}`).disconnectSockets(true));
+};
+
+// One-time token helpers
+const issueAuthToken = async (user, purpose, ttlMinutes) => {
+  // A fresh link supersedes any earlier one for the same purpose
+  await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+const consumeAuthToken = (token, purpose) => AuthToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(String(token)),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  },
+  { usedAt: new Date() }
+);
+
+const sendVerificationEmail = async (req, user) => {
+  const token = await issueAuthToken(user, 'email-verification', 24 * 60);
+  const link = `${FRONTEND_URL}/?verifyToken=${token}`;
+
+  await sendMail(req, {
+    to: user.email,
+    subject: 'Verify your MCP Supreme email address',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (req, user) => {
+  const token = await issueAuthToken(user, 'password-reset', 60);
+  const link = `${FRONTEND_URL}/?resetToken=${token}`;
+
+  await sendMail(req, {
+    to: user.email,
+    subject: 'Reset your MCP Supreme password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset your password. If it was you, <a href="${link}">choose a new password</a>.</p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+// TOTP (RFC 6238) helpers
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'MCP Supreme';
+const TOTP_STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateHotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+
+  return String(code).padStart(6, '0');
+};
+
+// Returns the time step the code belongs to, or null. One step of clock drift
+// is tolerated either way; steps at or before `lastUsedStep` are refused so a
+// code can't be replayed.
+const matchTotpStep = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let step = currentStep - 1; step <= currentStep + 1; step += 1) {
+    if (step > lastUsedStep && crypto.timingSafeEqual(Buffer.from(generateHotp(secret, step)), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUrl = (user, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: '6',
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const generateRecoveryCodes = () => Array.from({ length: 10 }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase();
+
+// Checks a TOTP or recovery code for a user with 2FA enabled. Successful
+// checks are recorded atomically, so concurrent requests can't reuse a code.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+  const step = matchTotpStep(user.twoFactor.secret, code, lastUsedStep);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return result.modifiedCount === 1;
+};
+
+const serializeUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+});
+
+// Brute-force protection helpers
+const loginDelayMs = (failures) => (
+  failures < LOGIN_DELAY_AFTER
+    ? 0
+    : Math.min(1000 * 2 ** (failures - LOGIN_DELAY_AFTER), 60 * 1000)
+);
+
+const recordSecurityEvent = (type, req, details = {}) => SecurityEvent.create({
+  type,
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  ...details
+});
+
+// Refuses the attempt when this address has failed too often recently, and
+// otherwise spaces attempts out exponentially after the first few failures.
+// Resolves to an error response, or null when the attempt may go ahead.
+const checkIpLoginThrottle = async (req) => {
+  const windowStart = new Date(Date.now() - FAILED_LOGIN_WINDOW_MINUTES * 60 * 1000);
+  const [failures, latest] = await Promise.all([
+    LoginFailure.countDocuments({ ip: req.ip, createdAt: { $gte: windowStart } }),
+    LoginFailure.findOne({ ip: req.ip }).sort({ createdAt: -1 })
+  ]);
+
+  if (failures >= IP_MAX_FAILED_LOGINS) {
+    return {
+      status: 429,
+      retryAfter: FAILED_LOGIN_WINDOW_MINUTES * 60,
+      body: { error: 'Too many failed login attempts from this address, please try again later', code: 'IP_BLOCKED' }
+    };
+  }
+
+  const waitMs = latest ? latest.createdAt.getTime() + loginDelayMs(failures) - Date.now() : 0;
+  if (waitMs > 0) {
+    return {
+      status: 429,
+      retryAfter: Math.ceil(waitMs / 1000),
+      body: { error: 'Too many failed login attempts, please slow down', code: 'LOGIN_THROTTLED' }
+    };
+  }
+
+  return null;
+};
+
+// Same idea per account, plus the temporary lockout
+const checkAccountLoginThrottle = (user) => {
+  if (user.lockUntil && user.lockUntil > new Date()) {
+    return {
+      status: 423,
+      retryAfter: Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000),
+      body: {
+        error: 'Account temporarily locked after too many failed login attempts. Check your email to unlock it.',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockUntil
+      }
+    };
+  }
+
+  const waitMs = user.lastFailedLoginAt
+    ? user.lastFailedLoginAt.getTime() + loginDelayMs(user.failedLoginAttempts) - Date.now()
+    : 0;
+  if (waitMs > 0) {
+    return {
+      status: 429,
+      retryAfter: Math.ceil(waitMs / 1000),
+      body: { error: 'Too many failed login attempts, please slow down', code: 'LOGIN_THROTTLED' }
+    };
+  }
+
+  return null;
+};
+
+const sendThrottleResponse = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(throttle.status).json(throttle.body);
+};
+
+const sendUnlockEmail = async (req, user) => {
+  const token = await issueAuthToken(user, 'account-unlock', LOCKOUT_MINUTES);
+  const link = `${FRONTEND_URL}/?unlockToken=${token}`;
+
+  await sendMail(req, {
+    to: user.email,
+    subject: 'Your MCP Supreme account was locked',
+    text: `Hi ${user.username},\n\nYour account was locked for ${LOCKOUT_MINUTES} minutes after several failed login attempts. If that was you, unlock it now:\n${link}\n\nIf it wasn't you, consider resetting your password.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Your account was locked for ${LOCKOUT_MINUTES} minutes after several failed login attempts. If that was you, <a href="${link}">unlock it now</a>.</p><p>If it wasn't you, consider resetting your password.</p>`
+  });
+};
+
+const recordLoginFailure = async (req, email, user) => {
+  await LoginFailure.create({ ip: req.ip, email });
+
+  const windowStart = new Date(Date.now() - FAILED_LOGIN_WINDOW_MINUTES * 60 * 1000);
+  const ipFailures = await LoginFailure.countDocuments({ ip: req.ip, createdAt: { $gte: windowStart } });
+  if (ipFailures === IP_MAX_FAILED_LOGINS) {
+    await recordSecurityEvent('ip-blocked', req, { email, details: { failures: ipFailures } });
+  }
+
+  if (!user) return;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: new Date() },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGINS) return;
+
+  const lockUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { lockUntil, failedLoginAttempts: 0, lastFailedLoginAt: null }
+  );
+  await recordSecurityEvent('account-locked', req, {
+    user: user._id,
+    email: user.email,
+    details: { failures: updated.failedLoginAttempts, lockedUntil: lockUntil }
+  });
+
+  try {
+    await sendUnlockEmail(req, user);
+  } catch (mailError) {
+    req.log.error('Unlock email error', { error: mailError });
+  }
+};
+
+const clearLoginFailures = (user) => User.updateOne(
+  { _id: user._id },
+  { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null }
+);
+
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Project authorization
+const PROJECT_PERMISSIONS = {
+  owner: ['read', 'update', 'status', 'delete', 'members', 'transfer'],
+  maintainer: ['read', 'update', 'status', 'members'],
+  editor: ['read', 'update'],
+  viewer: ['read']
+};
+
+const memberFilter = (userId) => ({
+  $or: [
+    { owner: userId },
+    { 'collaborators.user': userId }
+  ]
+});
+
+const refId = (ref) => (ref && ref._id) || ref;
+
+const getProjectRole = (project, userId) => {
+  if (refId(project.owner).equals(userId)) {
+    return 'owner';
+  }
+
+  const membership = project.collaborators.find((member) => refId(member.user).equals(userId));
+  return membership ? membership.role : null;
+};
+
+const can = (role, action) => Boolean(role) && PROJECT_PERMISSIONS[role].includes(action);
+
+const permissionsFor = (project, userId) => {
+  const role = getProjectRole(project, userId);
+  return { role, permissions: role ? PROJECT_PERMISSIONS[role] : [] };
+};
+
+const projectETag = (project) => `"${project.__v}"`;
+
+// If-Match may list several tags or `*`; weak tags compare by value
+const matchesETag = (header, etag) => header
+  .split(',')
+  .map((tag) => tag.trim().replace(/^W\//, ''))
+  .some((tag) => tag === '*' || tag === etag);
+
+// Loads the project named by :id into req.project and checks that the caller
+// may perform `action` on it. Non-members get a 404 so project ids don't leak.
+const authorizeProject = (action) => async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const role = project && getProjectRole(project, req.user.userId);
+
+    if (!role) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!can(role, action)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cached reads
+// Per-user results (project lists, analytics) are keyed by a generation
+// counter that is bumped whenever one of the user's projects changes, so
+// stale entries are simply never read again and expire on their own.
+const cacheGeneration = async (cache, userId) => (await cache.get(`gen:user:${userId}`)) || 0;
+
+// Every project write awaits this before responding, so a client refetching
+// straight after its own change never reads a list from before it. The
+// system-wide analytics totals go too.
+const invalidateProjectCaches = (req, userIds) => {
+  const { cache } = req.app.locals;
+  return Promise.all([
+    ...userIds.map((userId) => cache.incr(`gen:user:${userId}`)),
+    cache.del('analytics:totals')
+  ]);
+};
+
+// Returns the cached value for `key` in the requesting user's current
+// generation, or computes, stores and returns it. The value is stored as JSON.
+const cachedForUser = async (req, key, compute) => {
+  const { cache } = req.app.locals;
+  const { userId } = req.user;
+  const cacheKey = `${key}:${userId}:${await cacheGeneration(cache, userId)}`;
+  const hit = await cache.get(cacheKey);
+  if (hit !== undefined) return hit;
+
+  const value = await compute();
+  await cache.set(cacheKey, value, CACHE_TTL_SECONDS);
+  return value;
+};
+
+// Real-time project events
+// The server is the only source of project events. They go to each member's
+// personal room rather than project-<id>, so every recipient gets the project
+// with their own role and permissions, whether or not they have it open.
+const projectMemberIds = (project) => [
+  refId(project.owner),
+  ...project.collaborators.map((member) => refId(member.user))
+].map(String);
+
+const actorOf = (req) => ({ id: req.user.userId, username: req.user.username });
+
+const emitProjectEvent = async (event, project, req) => {
+  await project.populate('owner', 'username email');
+  await project.populate('collaborators.user', 'username email');
+  await project.populate('statusHistory.changedBy', 'username');
+
+  const actor = actorOf(req);
+  const { io } = req.app.locals;
+  for (const userId of projectMemberIds(project)) {
+    io.to(`user-${userId}`).emit(event, {
+      project: { ...project.toJSON(), ...permissionsFor(project, userId) },
+      actor
+    });
+  }
+};
+
+// Tells former members the project is gone for them and drops their sockets
+// from its room
+const emitProjectRemoved = (project, userIds, req) => {
+  const payload = { projectId: String(project._id), name: project.name, actor: actorOf(req) };
+  const { io } = req.app.locals;
+  for (const userId of userIds.map(String)) {
+    io.to(`user-${userId}`).emit('project-deleted', payload);
+    io.in(`user-${userId}`).socketsLeave(`project-${project._id}`);
+  }
+  broadcast(emitPresence(io, project._id));
+};
+
+// Event delivery must never fail the request that triggered it
+const broadcast = (promise) => Promise.resolve(promise).catch((error) => {
+  logger.error('Project event error', { error });
+});
+
+// Appends to the project's activity log and streams the entry to anyone
+// viewing the project
+const recordActivity = async (req, project, action, { changes, details } = {}) => {
+  const activity = await Activity.create({
+    project: project._id,
+    projectName: project.name,
+    actor: req.user.userId,
+    action,
+    changes,
+    details
+  });
+
+  await activity.populate('actor', 'username');
+  req.app.locals.io.to(`project-${project._id}`).emit('activity', activity);
+  return activity;
+};
+
+// Field-level diff of an update, limited to the fields the client sent
+const diffFields = (project, updates) => Object.keys(updates)
+  .filter((field) => String(project[field] ?? '') !== String(updates[field] ?? ''))
+  .map((field) => ({ field, from: project[field], to: updates[field] }));
+
+// Stores a notification for each recipient (never the actor) and pushes it to
+// their open sockets
+const notify = async (req, recipients, { type, message, project, actor, data }) => {
+  const userIds = [...new Set(recipients.map(String))].filter((userId) => userId !== String(actor));
+  if (userIds.length === 0) return [];
+
+  const notifications = await Notification.insertMany(userIds.map((userId) => ({
+    user: userId,
+    type,
+    message,
+    project: project && project._id,
+    actor,
+    data
+  })));
+
+  await Notification.populate(notifications, [
+    { path: 'actor', select: 'username' },
+    { path: 'project', select: 'name' }
+  ]);
+  for (const notification of notifications) {
+    req.app.locals.io.to(`user-${notification.user}`).emit('notification', notification);
+  }
+  return notifications;
+};
+
+// Request validation
+// Every route declares Joi schemas for the parts of the request it reads.
+// Unknown keys are rejected, so clients can't slip extra fields through, and
+// all failures share one field-level shape:
+//   { error, code: 'VALIDATION_ERROR', details: [{ field, location, message }] }
+const validationError = (details) => ({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details
+});
+
+const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+
+      const { value, error } = schemas[location].validate(req[location] || {}, {
+        abortEarly: false,
+        errors: { wrap: { label: false } }
+      });
+
+      if (error) {
+        details.push(...error.details.map((detail) => ({
+          field: detail.path.join('.'),
+          location,
+          message: detail.message
+        })));
+      } else {
+        req[location] = value;
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json(validationError(details));
+    }
+    next();
+  };
+
+  // Lets the OpenAPI drift check see which schema a route validates with
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+const objectId = Joi.string()
+  .pattern(/^[a-f\d]{24}$/i)
+  .messages({ 'string.pattern.base': '{#label} must be a valid id' });
+const email = Joi.string().trim().email({ tlds: { allow: false } }).max(254);
+const newPassword = Joi.string().min(8).max(128);
+const identifier = Joi.string().trim().max(254);
+const totpCode = Joi.string().trim().pattern(/^\d{6}$/).messages({ 'string.pattern.base': '{#label} must be a 6-digit code' });
+const recoveryCode = Joi.string().trim().max(32);
+const linkToken = Joi.string().hex().max(128);
+const page = Joi.number().integer().min(1);
+const limit = Joi.number().integer().min(1).max(100);
+const search = Joi.string().trim().max(100).allow('');
+
+// Shared by the paginated list routes
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Time-series analytics group by UTC week (starting Monday) or month
+const ANALYTICS_BUCKETS = ['week', 'month'];
+const ANALYTICS_MAX_BUCKETS = 104;
+
+// Project list cursors are opaque base64url JSON: { v: last sort value, id: last _id }
+const PROJECT_SORT_FIELDS = ['name', 'createdAt', 'updatedAt'];
+
+const encodeCursor = (project, sort) => Buffer
+  .from(JSON.stringify({ v: project[sort], id: project._id }))
+  .toString('base64url');
+
+const cursor = Joi.string().max(512).custom((value, helpers) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (typeof decoded.v === 'string' && /^[a-f\d]{24}$/i.test(decoded.id)) {
+      return decoded;
+    }
+  } catch (error) {}
+  return helpers.message('{#label} is invalid');
+});
+
+// Status is not among them: it only moves through POST /api/projects/:id/status
+const projectFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(2000).allow(''),
+  technology: Joi.string().trim().min(1).max(50)
+};
+
+// Bulk import checks each row on its own, so failures can be reported per
+// row. Other columns (such as the extra ones in an export) are ignored.
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+
+const projectImportRow = Joi.object({
+  name: projectFields.name.required(),
+  description: projectFields.description,
+  technology: projectFields.technology.required(),
+  status: Joi.string().valid(...PROJECT_STATUSES).default('planning')
+}).options({ stripUnknown: true });
+
+const commentBody = Joi.string().trim().min(1).max(10000);
+
+// null clears the assignee or due date
+const taskFields = {
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(5000).allow(''),
+  assignee: objectId.allow(null),
+  priority: Joi.string().valid(...TASK_PRIORITIES),
+  dueDate: Joi.date().iso().allow(null),
+  column: Joi.string().valid(...TASK_COLUMNS)
+};
+
+// Filters shared by the project list and export
+const projectListFilters = {
+  search,
+  // Repeat the parameter to match any of several values (?status=a&status=b)
+  status: Joi.array().items(Joi.string().valid(...PROJECT_STATUSES)).single(),
+  technology: Joi.array().items(Joi.string().trim().min(1).max(50)).single(),
+  owner: objectId,
+  createdFrom: Joi.date().iso(),
+  createdTo: Joi.date().iso().when('createdFrom', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('createdFrom')).messages({ 'date.min': '{#label} must not be before createdFrom' })
+  })
+};
+
+const schemas = {
+  register: {
+    body: Joi.object({
+      username: Joi.string().trim().min(3).max(30).pattern(/^[a-zA-Z0-9_.-]+$/)
+        .messages({ 'string.pattern.base': '{#label} may only contain letters, numbers, dots, dashes and underscores' })
+        .required(),
+      email: email.required(),
+      password: newPassword.required()
+    })
+  },
+  login: {
+    body: Joi.object({
+      email: email.required(),
+      password: Joi.string().max(128).required()
+    })
+  },
+  twoFactorVerify: {
+    body: Joi.object({
+      challengeToken: Joi.string().max(1024).required(),
+      code: totpCode,
+      recoveryCode
+    }).xor('code', 'recoveryCode')
+  },
+  twoFactorCode: {
+    body: Joi.object({ code: totpCode.required() })
+  },
+  twoFactorDisable: {
+    body: Joi.object({
+      password: Joi.string().max(128).required(),
+      code: totpCode,
+      recoveryCode
+    }).xor('code', 'recoveryCode')
+  },
+  linkToken: {
+    body: Joi.object({ token: linkToken.required() })
+  },
+  email: {
+    body: Joi.object({ email: email.required() })
+  },
+  resetPassword: {
+    body: Joi.object({
+      token: linkToken.required(),
+      password: newPassword.required()
+    })
+  },
+  refresh: {
+    body: Joi.object({ refreshToken: Joi.string().max(256).required() })
+  },
+  session: {
+    params: Joi.object({ sessionId: objectId.required() })
+  },
+  project: {
+    params: Joi.object({ id: objectId.required() })
+  },
+  createProject: {
+    body: Joi.object({
+      name: projectFields.name.required(),
+      description: projectFields.description,
+      technology: projectFields.technology.required()
+    })
+  },
+  changeStatus: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object({
+      status: Joi.string().valid(...PROJECT_STATUSES).required(),
+      reason: Joi.string().trim().max(500).allow(''),
+      override: Joi.boolean()
+    })
+  },
+  updateProject: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object(projectFields).min(1)
+  },
+  invite: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object({
+      identifier: identifier.required(),
+      role: Joi.string().valid(...MEMBER_ROLES)
+    })
+  },
+  projectInvitation: {
+    params: Joi.object({ id: objectId.required(), invitationId: objectId.required() })
+  },
+  respondInvitation: {
+    params: Joi.object({
+      invitationId: objectId.required(),
+      response: Joi.string().valid('accept', 'decline').required()
+    })
+  },
+  member: {
+    params: Joi.object({ id: objectId.required(), userId: objectId.required() })
+  },
+  memberRole: {
+    params: Joi.object({ id: objectId.required(), userId: objectId.required() }),
+    body: Joi.object({ role: Joi.string().valid(...MEMBER_ROLES).required() })
+  },
+  transferOwnership: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object({ userId: objectId.required() })
+  },
+  listProjects: {
+    query: Joi.object({
+      ...projectListFilters,
+      sort: Joi.string().valid(...PROJECT_SORT_FIELDS).default('updatedAt'),
+      order: Joi.string().valid('asc', 'desc'),
+      cursor,
+      limit: limit.default(20)
+    })
+  },
+  adminUsers: {
+    query: Joi.object({
+      search,
+      role: Joi.string().valid('user', 'admin'),
+      page,
+      limit
+    })
+  },
+  adminUser: {
+    params: Joi.object({ id: objectId.required() })
+  },
+  adminUserRole: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object({ role: Joi.string().valid('user', 'admin').required() })
+  },
+  adminUserStatus: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object({ disabled: Joi.boolean().required() })
+  },
+  adminSecurityEvents: {
+    query: Joi.object({
+      type: Joi.string().valid('account-locked', 'account-unlocked', 'ip-blocked'),
+      page,
+      limit
+    })
+  },
+  adminProjects: {
+    query: Joi.object({
+      search,
+      status: Joi.string().valid(...PROJECT_STATUSES),
+      page,
+      limit
+    })
+  },
+  adminReassign: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object({ identifier: identifier.required() })
+  },
+  activity: {
+    params: Joi.object({ id: objectId.required() }),
+    query: Joi.object({ page, limit })
+  },
+  adminActivity: {
+    query: Joi.object({
+      actor: objectId,
+      project: objectId,
+      action: Joi.string().valid(...ACTIVITY_ACTIONS),
+      page,
+      limit
+    })
+  },
+  listTasks: {
+    params: Joi.object({ id: objectId.required() }),
+    query: Joi.object({
+      column: Joi.string().valid(...TASK_COLUMNS),
+      assignee: objectId
+    })
+  },
+  createTask: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object({
+      title: taskFields.title.required(),
+      description: taskFields.description,
+      assignee: taskFields.assignee,
+      priority: taskFields.priority,
+      dueDate: taskFields.dueDate,
+      column: taskFields.column
+    })
+  },
+  updateTask: {
+    params: Joi.object({ id: objectId.required(), taskId: objectId.required() }),
+    body: Joi.object({
+      title: taskFields.title,
+      description: taskFields.description,
+      assignee: taskFields.assignee,
+      priority: taskFields.priority,
+      dueDate: taskFields.dueDate
+    }).min(1)
+  },
+  moveTask: {
+    params: Joi.object({ id: objectId.required(), taskId: objectId.required() }),
+    body: Joi.object({
+      column: taskFields.column.required(),
+      position: Joi.number().integer().min(0).required()
+    })
+  },
+  task: {
+    params: Joi.object({ id: objectId.required(), taskId: objectId.required() })
+  },
+  comments: {
+    params: Joi.object({ id: objectId.required() })
+  },
+  createComment: {
+    params: Joi.object({ id: objectId.required() }),
+    body: Joi.object({
+      body: commentBody.required(),
+      parentId: objectId
+    })
+  },
+  updateComment: {
+    params: Joi.object({ id: objectId.required(), commentId: objectId.required() }),
+    body: Joi.object({ body: commentBody.required() })
+  },
+  comment: {
+    params: Joi.object({ id: objectId.required(), commentId: objectId.required() })
+  },
+  attachment: {
+    params: Joi.object({ id: objectId.required(), attachmentId: objectId.required() })
+  },
+  listNotifications: {
+    query: Joi.object({
+      unread: Joi.boolean(),
+      page,
+      limit
+    })
+  },
+  notification: {
+    params: Joi.object({ id: objectId.required() })
+  },
+  exportProjects: {
+    query: Joi.object({
+      ...projectListFilters,
+      format: Joi.string().valid('json', 'csv').default('json')
+    })
+  },
+  importProjects: {
+    query: Joi.object({
+      dryRun: Joi.boolean().default(false)
+    }),
+    // Rows as JSON objects, or a CSV document with a header row
+    body: Joi.object({
+      projects: Joi.array().items(Joi.object().unknown()).min(1).max(IMPORT_MAX_ROWS),
+      csv: Joi.string().max(5 * 1024 * 1024)
+    }).xor('projects', 'csv')
+  },
+  analyticsSeries: {
+    query: Joi.object({
+      from: Joi.date().iso(),
+      to: Joi.date().iso().when('from', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('from')).messages({ 'date.greater': '{#label} must be after from' })
+      }),
+      bucket: Joi.string().valid(...ANALYTICS_BUCKETS).default('week')
+    })
+  }
+};
+
+// Routes
+
+// Health checks
+// /health/live only says the process is up; if it fails, restart it.
+// /health/ready also checks dependencies so traffic stops while MongoDB, or
+// Redis when configured, is unreachable: without Redis, rate limits and socket
+// events are no longer shared between instances. /health is the same check
+// as /health/ready, and is what the Docker HEALTHCHECK calls (healthcheck.js).
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+const runHealthCheck = async (check) => {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const checkMongo = () => {
+  const { readyState } = mongoose.connection;
+  if (readyState !== 1) {
+    throw new Error(`MongoDB is ${mongoose.STATES[readyState]}`);
+  }
+  return mongoose.connection.db.admin().ping();
+};
+
+const checkRedis = (cache) => {
+  if (!cache.isReady()) {
+    throw new Error('Redis is disconnected');
+  }
+  return cache.client.ping();
+};
+
+const readiness = async (req, res) => {
+  const { cache } = req.app.locals;
+  const [mongodb, redis] = await Promise.all([
+    runHealthCheck(checkMongo),
+    cache.driver === 'redis' ? runHealthCheck(() => checkRedis(cache)) : undefined
+  ]);
+  const checks = { mongodb, ...(redis && { redis }) };
+
+  let status = 'ready';
+  if (!mongodb.ok) status = 'unavailable';
+  else if (redis && !redis.ok) status = 'degraded';
+
+  res.status(status === 'ready' ? 200 : 503).json({
+    status,
+    checks,
+    timestamp: new Date().toISOString(),
+    version: '1.0.0'
+  });
+};
+
+router.get('/health', readiness);
+router.get('/health/ready', readiness);
+
+router.get('/health/live', (req, res) => {
+  res.json({
+    status: 'alive',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set it needs
+// `Authorization: Bearer <token>`; without it, keep /metrics off the public
+// network.
+router.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const provided = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    if (!crypto.timingSafeEqual(Buffer.from(hashToken(provided)), Buffer.from(hashToken(token)))) {
+      return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+  }
+
+  try {
+    res.set('Content-Type', metrics.contentType).send(await metrics.render());
+  } catch (error) {
+    req.log.error('Metrics error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API documentation
+// The spec is generated from the route table in openapi.js and the Joi
+// schemas above; the drift check at startup keeps it honest.
+const openApiSpec = buildOpenApiSpec({ schemas, version: '1.0.0' });
+
+router.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+router.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec, {
+  customSiteTitle: 'MCP Supreme Demo App API'
+}));
+
+// Auth routes
+router.post('/api/auth/register', authLimiter, validate(schemas.register), async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    // Hash password
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Create user
+    const user = new User({
+      username,
+      email,
+      password: hashedPassword
+    });
+
+    await user.save();
+
+    // A mail outage shouldn't fail registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (mailError) {
+      req.log.error('Verification email error', { error: mailError });
+    }
+
+    const userData = serializeUser(user);
+
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        message: 'User created successfully. Check your email to verify your account.',
+        verificationRequired: true,
+        user: userData
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      message: 'User created successfully',
+      token,
+      refreshToken,
+      user: userData
+    });
+  } catch (error) {
+    req.log.error('Registration error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/login', authLimiter, validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const ipThrottle = await checkIpLoginThrottle(req);
+    if (ipThrottle) {
+      return sendThrottleResponse(res, ipThrottle);
+    }
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      await recordLoginFailure(req, email);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const accountThrottle = checkAccountLoginThrottle(user);
+    if (accountThrottle) {
+      return sendThrottleResponse(res, accountThrottle);
+    }
+
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      await recordLoginFailure(req, email, user);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (user.disabled) {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      return res.status(403).json({ error: 'Email address not verified', code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge that has to
+    // be redeemed at /api/auth/2fa/verify
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user._id, purpose: '2fa-challenge' },
+        JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
+
+    await clearLoginFailures(user);
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    req.log.error('Login error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Two-factor authentication routes
+router.post('/api/auth/2fa/verify', authLimiter, validate(schemas.twoFactorVerify), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ error: 'Login challenge expired, please sign in again' });
+    }
+
+    if (challenge.purpose !== '2fa-challenge') {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || user.disabled || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+
+    // Guessing second factors is throttled exactly like guessing passwords
+    const throttle = (await checkIpLoginThrottle(req)) || checkAccountLoginThrottle(user);
+    if (throttle) {
+      return sendThrottleResponse(res, throttle);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordLoginFailure(req, user.email, user);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await clearLoginFailures(user);
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    req.log.error('2FA verify error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    req.log.error('2FA status error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: buildOtpauthUrl(user, secret)
+    });
+  } catch (error) {
+    req.log.error('2FA setup error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/2fa/enable', authenticateToken, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start the setup first' });
+    }
+
+    const step = matchTotpStep(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: recoveryCodes.map(hashToken),
+      lastUsedStep: step
+    };
+    await user.save();
+
+    // Recovery codes are only ever shown in plain text here
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    req.log.error('2FA enable error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/2fa/recovery-codes', authenticateToken, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { 'twoFactor.recoveryCodes': recoveryCodes.map(hashToken) }
+    );
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    req.log.error('2FA recovery codes error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/2fa/disable', authenticateToken, validate(schemas.twoFactorDisable), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.userId);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid password or authentication code' });
+    }
+
+    await User.updateOne({ _id: user._id }, { $unset: { twoFactor: 1 } });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    req.log.error('2FA disable error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/unlock', authLimiter, validate(schemas.linkToken), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const authToken = await consumeAuthToken(token, 'account-unlock');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Invalid or expired unlock link' });
+    }
+
+    const user = await User.findById(authToken.user);
+    await clearLoginFailures(user);
+    await recordSecurityEvent('account-unlocked', req, {
+      user: user._id,
+      email: user.email,
+      details: { via: 'email' }
+    });
+
+    res.json({ message: 'Account unlocked, you can log in again' });
+  } catch (error) {
+    req.log.error('Unlock account error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/verify-email', authLimiter, validate(schemas.linkToken), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const authToken = await consumeAuthToken(token, 'email-verification');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    await User.updateOne(
+      { _id: authToken.user },
+      { emailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    req.log.error('Verify email error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/resend-verification', authLimiter, validate(schemas.email), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && !user.emailVerified && !user.disabled) {
+      await sendVerificationEmail(req, user);
+    }
+
+    // Same answer either way, so this can't be used to probe for accounts
+    res.json({ message: 'If the account exists and is unverified, a new link has been sent' });
+  } catch (error) {
+    req.log.error('Resend verification error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/forgot-password', authLimiter, validate(schemas.email), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && !user.disabled) {
+      await sendPasswordResetEmail(req, user);
+    }
+
+    res.json({ message: 'If the account exists, a password reset link has been sent' });
+  } catch (error) {
+    req.log.error('Forgot password error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/reset-password', authLimiter, validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const authToken = await consumeAuthToken(token, 'password-reset');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    // Following the emailed link also proves ownership of the address
+    const hashedPassword = await bcrypt.hash(password, 12);
+    await User.updateOne(
+      { _id: authToken.user },
+      { password: hashedPassword, emailVerified: true }
+    );
+
+    // Whoever knew the old password shouldn't stay signed in
+    await revokeSessions(req, { user: authToken.user });
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    req.log.error('Reset password error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const [sessionId, secret] = req.body.refreshToken.split('.');
+
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const nextSecret = crypto.randomBytes(48).toString('hex');
+
+    // Rotate atomically so the same refresh token can only ever be used once
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        refreshTokenHash: hashToken(secret),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshTokenExpiry()
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A token that was already rotated out is being replayed. Assume it
+      // leaked and end the session for everyone holding it.
+      await revokeSessions(req, { _id: sessionId });
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.disabled) {
+      await revokeSessions(req, { _id: session._id });
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    res.json({
+      token: signAccessToken(user, session._id),
+      refreshToken: `${session._id}.${nextSecret}`
+    });
+  } catch (error) {
+    req.log.error('Refresh token error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions(req, { _id: req.user.sessionId });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    req.log.error('Logout error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map((session) => ({
+      ...session.toJSON(),
+      current: session._id.equals(req.user.sessionId)
+    })));
+  } catch (error) {
+    req.log.error('Get sessions error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/auth/sessions/:sessionId', authenticateToken, validate(schemas.session), async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSessions(req, { _id: session._id });
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    req.log.error('Revoke session error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    // Sign out everywhere except the device making the request
+    await revokeSessions(req, { user: req.user.userId, _id: { $ne: req.user.sessionId } });
+    res.json({ message: 'Other sessions revoked' });
+  } catch (error) {
+    req.log.error('Revoke sessions error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Project routes
+// Access and filters for listing projects; export applies the same ones
+const projectListConditions = (userId, { search, status, technology, owner, createdFrom, createdTo }) => {
+  const conditions = [memberFilter(userId)];
+  if (search) conditions.push({ $text: { $search: search } });
+  if (status) conditions.push({ status: { $in: status } });
+  if (technology) conditions.push({ technology: { $in: technology } });
+  if (owner) conditions.push({ owner });
+  if (createdFrom || createdTo) {
+    conditions.push({
+      createdAt: {
+        ...(createdFrom && { $gte: createdFrom }),
+        ...(createdTo && { $lte: createdTo })
+      }
+    });
+  }
+  return conditions;
+};
+
+router.get('/api/projects', authenticateToken, validate(schemas.listProjects), async (req, res) => {
+  try {
+    const { sort, cursor, limit } = req.query;
+    // Names read naturally A-Z, dates newest first
+    const order = req.query.order || (sort === 'name' ? 'asc' : 'desc');
+    const direction = order === 'asc' ? 1 : -1;
+
+    const conditions = projectListConditions(req.user.userId, req.query);
+    const filter = { $and: conditions };
+
+    // Keyset pagination: resume strictly after the last (sort value, _id) pair
+    const cursorValue = cursor && (sort === 'name' ? cursor.v : new Date(cursor.v));
+    if (cursor && sort !== 'name' && Number.isNaN(cursorValue.getTime())) {
+      return res.status(400).json(validationError([
+        { field: 'cursor', location: 'query', message: 'cursor is invalid' }
+      ]));
+    }
+
+    // The validated query identifies the page; the user's cache generation
+    // changes whenever any of their projects does
+    const queryHash = crypto.createHash('sha1').update(JSON.stringify(req.query)).digest('hex');
+    const page = await cachedForUser(req, `projects:${queryHash}`, async () => {
+      let pageFilter = filter;
+      if (cursor) {
+        const after = direction === 1 ? '$gt' : '$lt';
+        const id = new mongoose.Types.ObjectId(cursor.id);
+        pageFilter = {
+          $and: [...conditions, {
+            $or: [
+              { [sort]: { [after]: cursorValue } },
+              { [sort]: cursorValue, _id: { [after]: id } }
+            ]
+          }]
+        };
+      }
+
+      const [projects, total] = await Promise.all([
+        Project.find(pageFilter)
+          .populate('owner', 'username email')
+          .populate('collaborators.user', 'username email')
+          .populate('statusHistory.changedBy', 'username')
+          .sort({ [sort]: direction, _id: direction })
+          .limit(limit + 1),
+        Project.countDocuments(filter)
+      ]);
+
+      const hasMore = projects.length > limit;
+      const items = projects.slice(0, limit);
+
+      return {
+        projects: items.map((project) => ({
+          ...project.toJSON(),
+          ...permissionsFor(project, req.user.userId)
+        })),
+        total,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+      };
+    });
+
+    res.json(page);
+  } catch (error) {
+    req.log.error('Get projects error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/projects', authenticateToken, validate(schemas.createProject), async (req, res) => {
+  try {
+    const { name, description, technology } = req.body;
+
+    const project = new Project({
+      name,
+      description,
+      technology,
+      owner: req.user.userId,
+      statusHistory: [{ to: 'planning', changedBy: req.user.userId }]
+    });
+
+    await project.save();
+    await recordActivity(req, project, 'project.created', {
+      details: { name, technology }
+    });
+    await project.populate('owner', 'username email');
+    await project.populate('statusHistory.changedBy', 'username');
+    await invalidateProjectCaches(req, projectMemberIds(project));
+
+    res.status(201).json({
+      ...project.toJSON(),
+      ...permissionsFor(project, req.user.userId)
+    });
+    broadcast(emitProjectEvent('project-created', project, req));
+  } catch (error) {
+    req.log.error('Create project error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Declared before /:id so "workflow" isn't taken for a project id
+router.get('/api/projects/workflow', authenticateToken, (req, res) => {
+  res.json({ statuses: PROJECT_STATUSES, transitions: STATUS_TRANSITIONS });
+});
+
+// The caller's trashed projects, newest first
+router.get('/api/projects/trash', authenticateToken, async (req, res) => {
+  try {
+    const projects = await Project.find({ owner: req.user.userId, deletedAt: { $ne: null } })
+      .populate('owner', 'username email')
+      .populate('collaborators.user', 'username email')
+      .populate('statusHistory.changedBy', 'username')
+      .populate('deletedBy', 'username')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      projects: projects.map((project) => ({
+        ...project.toJSON(),
+        purgeAt: trashPurgeDate(project)
+      }))
+    });
+  } catch (error) {
+    req.log.error('Get trash error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import / export
+// CSV follows RFC 4180: comma separated, fields with commas, quotes or line
+// breaks are quoted, quotes are doubled.
+const EXPORT_COLUMNS = ['name', 'description', 'technology', 'status', 'owner', 'role', 'createdAt', 'updatedAt'];
+// Values already starting with quotes before a formula character get one
+// more, so stripping a single quote on import always restores them
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  // Spreadsheets would evaluate these as formulas; csvRecords strips the
+  // quote again on import
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+  .map((cells) => cells.map(csvCell).join(','))
+  .join('\r\n') + '\r\n';
+
+// Returns the non-blank rows, plus an error for a quoted field that is never
+// closed; it swallows the rest of the input, so it is always on the last row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted || field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonBlank = rows.filter((cells, index) => (
+    (quoted && index === rows.length - 1) || cells.some((cell) => cell.trim() !== '')
+  ));
+  const errors = quoted ? [{ row: nonBlank.length - 1, message: 'Unterminated quoted field' }] : [];
+  return { rows: nonBlank, errors };
+};
+
+// Header row -> objects keyed by column name; empty cells are left out and
+// the quote csvCell puts in front of formula-like values is removed. Errors
+// carry the 1-based record number, as in the import report.
+const csvRecords = (text) => {
+  const { rows: [header = [], ...rows], errors } = parseCsv(text);
+  const columns = header.map((column) => column.trim().toLowerCase());
+  return {
+    records: rows.map((cells) => Object.fromEntries(cells
+      .map((cell, index) => [
+        columns[index],
+        cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell
+      ])
+      .filter(([column, cell]) => column && cell !== ''))),
+    errors: errors.map(({ row, message }) => ({ row, field: 'csv', message }))
+  };
+};
+
+router.get('/api/projects/export', authenticateToken, validate(schemas.exportProjects), async (req, res) => {
+  try {
+    const projects = await Project.find({ $and: projectListConditions(req.user.userId, req.query) })
+      .populate('owner', 'username')
+      .sort({ createdAt: 1 });
+
+    const rows = projects.map((project) => ({
+      name: project.name,
+      description: project.description || '',
+      technology: project.technology,
+      status: project.status,
+      owner: project.owner?.username,
+      role: getProjectRole(project, req.user.userId),
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt
+    }));
+
+    const filename = `projects-${new Date().toISOString().slice(0, 10)}.${req.query.format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (req.query.format === 'csv') {
+      return res.type('text/csv').send(toCsv(EXPORT_COLUMNS, rows));
+    }
+    res.json({ exportedAt: new Date(), total: rows.length, projects: rows });
+  } catch (error) {
+    req.log.error('Export projects error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Validates every row first. With ?dryRun=true, or if any row is invalid,
+// nothing is written and the report lists each failing row (1-based, not
+// counting the CSV header). Otherwise all rows are created, owned by the caller.
+router.post('/api/projects/import', authenticateToken, validate(schemas.importProjects), async (req, res) => {
+  try {
+    const { dryRun } = req.query;
+    const { records: rows, errors } = req.body.csv !== undefined
+      ? csvRecords(req.body.csv)
+      : { records: req.body.projects, errors: [] };
+    const unreadable = new Set(errors.map((rowError) => rowError.row));
+
+    if (rows.length === 0 || rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json(validationError([{
+        field: 'csv',
+        location: 'body',
+        message: `csv must contain between 1 and ${IMPORT_MAX_ROWS} rows`
+      }]));
+    }
+
+    const warnings = [];
+    const projects = [];
+    rows.forEach((row, index) => {
+      if (unreadable.has(index + 1)) return;
+
+      const { value, error } = projectImportRow.validate(row, {
+        abortEarly: false,
+        errors: { wrap: { label: false } }
+      });
+      if (error) {
+        errors.push(...error.details.map((detail) => ({
+          row: index + 1,
+          field: detail.path.join('.'),
+          message: detail.message
+        })));
+        return;
+      }
+
+      // New projects start in planning. Importing one further along skips
+      // the status workflow, so like an override it is admin-only; anyone
+      // else gets the project back in planning, e.g. when re-importing an
+      // export of their own.
+      if (value.status !== 'planning' && req.user.role !== 'admin') {
+        warnings.push({
+          row: index + 1,
+          field: 'status',
+          message: `Imported as planning instead of ${value.status}; only admins can import projects past planning`
+        });
+        value.status = 'planning';
+      }
+      const skipsWorkflow = value.status !== 'planning';
+
+      const project = new Project({
+        ...value,
+        owner: req.user.userId,
+        statusHistory: [{ to: value.status, changedBy: req.user.userId, reason: 'Imported', override: skipsWorkflow }]
+      });
+      const invalid = project.validateSync();
+      if (invalid) {
+        errors.push(...Object.values(invalid.errors).map((detail) => ({
+          row: index + 1,
+          field: detail.path,
+          message: detail.message
+        })));
+        return;
+      }
+      projects.push(project);
+    });
+
+    const report = { dryRun, total: rows.length, valid: projects.length, errors, warnings };
+    if (dryRun) {
+      return res.json(report);
+    }
+    if (errors.length > 0) {
+      return res.status(422).json({
+        error: 'Some rows are invalid; nothing was imported',
+        code: 'IMPORT_INVALID',
+        ...report
+      });
+    }
+
+    await Project.insertMany(projects);
+    await Promise.all(projects.map((project) => recordActivity(req, project, 'project.created', {
+      details: { name: project.name, technology: project.technology, imported: true }
+    })));
+    await invalidateProjectCaches(req, [req.user.userId]);
+
+    res.status(201).json({ ...report, imported: projects.length });
+
+    // One event for the whole batch rather than one per project
+    req.app.locals.io.to(`user-${req.user.userId}`).emit('projects-imported', {
+      count: projects.length,
+      actor: actorOf(req)
+    });
+  } catch (error) {
+    req.log.error('Import projects error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/projects/:id', authenticateToken, validate(schemas.project), authorizeProject('read'), async (req, res) => {
+  try {
+    const { project } = req;
+    await project.populate('owner', 'username email');
+    await project.populate('collaborators.user', 'username email');
+    await project.populate('statusHistory.changedBy', 'username');
+
+    res.set('ETag', projectETag(project)).json({
+      ...project.toJSON(),
+      ...permissionsFor(project, req.user.userId)
+    });
+  } catch (error) {
+    req.log.error('Get project error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replies 409 with the project as it is now, so the client can merge
+const sendVersionConflict = async (req, res, project) => {
+  await project.populate('owner', 'username email');
+  await project.populate('collaborators.user', 'username email');
+  await project.populate('statusHistory.changedBy', 'username');
+
+  res.status(409).set('ETag', projectETag(project)).json({
+    error: 'Project was changed by someone else since you loaded it',
+    code: 'VERSION_CONFLICT',
+    current: {
+      ...project.toJSON(),
+      ...permissionsFor(project, req.user.userId)
+    }
+  });
+};
+
+// For saves that lost a race outside PUT. Routes that loaded the project
+// through authorizeProject get its current state back; the others (restore,
+// invitation replies, admin reassign) only learn to reload.
+const sendSaveConflict = async (req, res) => {
+  const current = req.project && await Project.findById(req.project._id);
+  if (current) {
+    return sendVersionConflict(req, res, current);
+  }
+  res.status(409).json({
+    error: 'Project was changed by someone else, reload and try again',
+    code: 'VERSION_CONFLICT'
+  });
+};
+
+// Updates must name the version they were based on in If-Match, otherwise
+// concurrent edits would silently overwrite each other
+router.put('/api/projects/:id', authenticateToken, validate(schemas.updateProject), authorizeProject('update'), async (req, res) => {
+  try {
+    const { project } = req;
+    const ifMatch = req.get('If-Match');
+
+    if (!ifMatch) {
+      return res.status(428).json({
+        error: 'Send the project ETag in an If-Match header',
+        code: 'PRECONDITION_REQUIRED'
+      });
+    }
+
+    if (!matchesETag(ifMatch, projectETag(project))) {
+      return sendVersionConflict(req, res, project);
+    }
+
+    // Only fields allowed by schemas.updateProject make it this far
+    const changes = diffFields(project, req.body);
+
+    Object.assign(project, req.body);
+    project.updatedAt = new Date();
+    try {
+      await project.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) throw error;
+      // Someone saved between our read and our write
+      const current = await Project.findById(project._id);
+      if (!current) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      return sendVersionConflict(req, res, current);
+    }
+    if (changes.length > 0) {
+      await recordActivity(req, project, 'project.updated', { changes });
+    }
+    await project.populate('owner', 'username email');
+    await project.populate('collaborators.user', 'username email');
+    await project.populate('statusHistory.changedBy', 'username');
+    await invalidateProjectCaches(req, projectMemberIds(project));
+
+    res.set('ETag', projectETag(project)).json({
+      ...project.toJSON(),
+      ...permissionsFor(project, req.user.userId)
+    });
+    broadcast(emitProjectEvent('project-updated', project, req));
+  } catch (error) {
+    req.log.error('Update project error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/projects/:id/status', authenticateToken, validate(schemas.changeStatus), authorizeProject('status'), async (req, res) => {
+  try {
+    const { project } = req;
+    const { status, reason, override = false } = req.body;
+
+    if (override && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can override the status workflow' });
+    }
+
+    if (status === project.status) {
+      return res.status(400).json({ error: `Project is already ${status}` });
+    }
+
+    if (!override && !canTransition(project.status, status)) {
+      return res.status(422).json({
+        error: `Cannot move a project from ${project.status} to ${status}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        allowed: STATUS_TRANSITIONS[project.status] || []
+      });
+    }
+
+    const now = new Date();
+    // Conditional on the current status so concurrent changes can't both apply
+    const updated = await Project.findOneAndUpdate(
+      { _id: project._id, status: project.status },
+      {
+        $set: { status, updatedAt: now },
+        // Keep the version in step with save(), which bumps it on its own
+        $inc: { __v: 1 },
+        $push: {
+          statusHistory: {
+            from: project.status,
+            to: status,
+            changedBy: req.user.userId,
+            changedAt: now,
+            reason: reason || undefined,
+            override
+          }
+        }
+      },
+      { new: true }
+    )
+      .populate('owner', 'username email')
+      .populate('collaborators.user', 'username email')
+      .populate('statusHistory.changedBy', 'username');
+
+    if (!updated) {
+      const current = await Project.findById(project._id);
+      if (!current) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      return sendVersionConflict(req, res, current);
+    }
+
+    await recordActivity(req, updated, 'status.changed', {
+      changes: [{ field: 'status', from: project.status, to: status }],
+      details: { reason: reason || undefined, override }
+    });
+    await invalidateProjectCaches(req, projectMemberIds(updated));
+
+    res.set('ETag', projectETag(updated)).json({
+      ...updated.toJSON(),
+      ...permissionsFor(updated, req.user.userId)
+    });
+    broadcast(emitProjectEvent('project-updated', updated, req));
+    broadcast(notify(req, projectMemberIds(updated), {
+      type: 'status-change',
+      message: `${req.user.username} moved ${updated.name} from ${project.status} to ${status}`,
+      project: updated,
+      actor: req.user.userId,
+      data: { from: project.status, to: status, reason: reason || undefined }
+    }));
+  } catch (error) {
+    req.log.error('Change project status error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Moves the project to the trash. It disappears for every member but keeps
+// its tasks, comments and files until the purge job removes it for good.
+router.delete('/api/projects/:id', authenticateToken, validate(schemas.project), authorizeProject('delete'), async (req, res, next) => {
+  try {
+    const { project } = req;
+    project.deletedAt = new Date();
+    project.deletedBy = req.user.userId;
+    await project.save();
+    await recordActivity(req, project, 'project.deleted');
+    await invalidateProjectCaches(req, projectMemberIds(project));
+
+    res.json({
+      message: 'Project moved to trash',
+      projectId: project._id,
+      purgeAt: trashPurgeDate(project)
+    });
+    emitProjectRemoved(project, projectMemberIds(project), req);
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Delete project error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/projects/:id/restore', authenticateToken, validate(schemas.project), async (req, res, next) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    // Only the owner can see, and so restore, a trashed project
+    if (!project || !project.owner.equals(req.user.userId)) {
+      return res.status(404).json({ error: 'Project not found in trash' });
+    }
+
+    project.deletedAt = undefined;
+    project.deletedBy = undefined;
+    await project.save();
+    await recordActivity(req, project, 'project.restored');
+    await project.populate('owner', 'username email');
+    await project.populate('collaborators.user', 'username email');
+    await project.populate('statusHistory.changedBy', 'username');
+    await invalidateProjectCaches(req, projectMemberIds(project));
+
+    res.json({
+      ...project.toJSON(),
+      ...permissionsFor(project, req.user.userId)
+    });
+    broadcast(emitProjectEvent('project-restored', project, req));
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Restore project error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Trash purge
+// Runs on every node; deleting is conditional, so overlapping runs are harmless.
+const trashPurgeDate = (project) => new Date(project.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const purgeDeletedProjects = async (storage) => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await Project.find({ deletedAt: { $lte: cutoff } }).select('_id');
+
+  let purged = 0;
+  for (const { _id: projectId } of expired) {
+    // Re-checks deletedAt in case the project was restored in the meantime
+    const { deletedCount } = await Project.deleteOne({ _id: projectId, deletedAt: { $lte: cutoff } });
+    if (deletedCount === 0) continue;
+
+    await Task.deleteMany({ project: projectId });
+    await Comment.deleteMany({ project: projectId });
+    await removeProjectAttachments(storage, projectId);
+    purged += 1;
+  }
+
+  if (purged > 0) {
+    logger.info('Purged projects from the trash', { purged });
+  }
+};
+
+// Returns the timer, which the server clears when it closes
+const startTrashPurge = (storage) => {
+  const run = () => purgeDeletedProjects(storage).catch((error) => logger.error('Trash purge error', { error }));
+  run();
+  return setInterval(run, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+router.get('/api/projects/:id/activity', authenticateToken, validate(schemas.activity), authorizeProject('read'), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { project: req.project._id };
+
+    const [activity, total] = await Promise.all([
+      Activity.find(filter)
+        .populate('actor', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Activity.countDocuments(filter)
+    ]);
+
+    res.json({ activity, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    req.log.error('Project activity error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Task routes
+// Anyone who can read the project sees its board; editing tasks needs the
+// same 'update' permission as editing the project itself.
+
+const populateTask = (task) => task.populate([
+  { path: 'assignee', select: 'username email' },
+  { path: 'createdBy', select: 'username' }
+]);
+
+const checkAssignee = (project, assignee) => (
+  assignee === undefined || assignee === null || Boolean(getProjectRole(project, assignee))
+);
+
+// Done tasks are counted by the cached member-throughput analytics, so
+// completing, reassigning or removing one starts a new cache generation
+const invalidateThroughput = (req, project) => invalidateProjectCaches(req, projectMemberIds(project));
+
+// Rewrites positions in a column as 0..n-1 following `ids` order
+const writeColumnOrder = async (projectId, column, ids) => {
+  if (ids.length === 0) return;
+
+  await Task.bulkWrite(ids.map((id, position) => ({
+    updateOne: {
+      filter: { _id: id, project: projectId },
+      update: { $set: { column, position } }
+    }
+  })));
+};
+
+router.get('/api/projects/:id/tasks', authenticateToken, validate(schemas.listTasks), authorizeProject('read'), async (req, res) => {
+  try {
+    const filter = { project: req.project._id };
+    if (req.query.column) filter.column = req.query.column;
+    if (req.query.assignee) filter.assignee = req.query.assignee;
+
+    const tasks = await Task.find(filter)
+      .populate('assignee', 'username email')
+      .populate('createdBy', 'username')
+      .sort({ column: 1, position: 1 });
+
+    res.json({ columns: TASK_COLUMNS, priorities: TASK_PRIORITIES, tasks });
+  } catch (error) {
+    req.log.error('List tasks error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/projects/:id/tasks', authenticateToken, validate(schemas.createTask), authorizeProject('update'), async (req, res) => {
+  try {
+    const { project } = req;
+    const { column = 'todo', ...fields } = req.body;
+
+    if (!checkAssignee(project, fields.assignee)) {
+      return res.status(400).json({ error: 'Tasks can only be assigned to project members' });
+    }
+
+    // New tasks go to the bottom of their column
+    const position = await Task.countDocuments({ project: project._id, column });
+    const task = await Task.create({
+      ...fields,
+      project: project._id,
+      column,
+      position,
+      createdBy: req.user.userId,
+      completedAt: column === 'done' ? new Date() : undefined
+    });
+    await populateTask(task);
+    await recordActivity(req, project, 'task.created', {
+      details: { taskId: task._id, title: task.title, column }
+    });
+    if (task.completedAt) {
+      await invalidateThroughput(req, project);
+    }
+
+    res.status(201).json(task);
+    req.app.locals.io.to(`project-${project._id}`).emit('task-created', task);
+  } catch (error) {
+    req.log.error('Create task error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/api/projects/:id/tasks/:taskId', authenticateToken, validate(schemas.updateTask), authorizeProject('update'), async (req, res) => {
+  try {
+    const { project } = req;
+
+    const task = await Task.findOne({ _id: req.params.taskId, project: project._id });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!checkAssignee(project, req.body.assignee)) {
+      return res.status(400).json({ error: 'Tasks can only be assigned to project members' });
+    }
+
+    const changes = diffFields(task, req.body);
+    Object.assign(task, req.body);
+    task.updatedAt = new Date();
+    await task.save();
+    await populateTask(task);
+    if (changes.length > 0) {
+      await recordActivity(req, project, 'task.updated', {
+        changes,
+        details: { taskId: task._id, title: task.title }
+      });
+    }
+    if (task.completedAt && changes.some((change) => change.field === 'assignee')) {
+      await invalidateThroughput(req, project);
+    }
+
+    res.json(task);
+    req.app.locals.io.to(`project-${project._id}`).emit('task-updated', task);
+  } catch (error) {
+    req.log.error('Update task error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Moves a task to `position` within `column` (same or different) and
+// renumbers the affected columns
+router.post('/api/projects/:id/tasks/:taskId/move', authenticateToken, validate(schemas.moveTask), authorizeProject('update'), async (req, res) => {
+  try {
+    const { project } = req;
+    const { column, position } = req.body;
+
+    const task = await Task.findOne({ _id: req.params.taskId, project: project._id });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const fromColumn = task.column;
+    const siblings = await Task.find({ project: project._id, column, _id: { $ne: task._id } })
+      .sort({ position: 1 })
+      .select('_id');
+
+    const targetIds = siblings.map((sibling) => sibling._id);
+    targetIds.splice(Math.min(position, targetIds.length), 0, task._id);
+    await writeColumnOrder(project._id, column, targetIds);
+
+    const order = { [column]: targetIds };
+    if (fromColumn !== column) {
+      const remaining = await Task.find({ project: project._id, column: fromColumn })
+        .sort({ position: 1 })
+        .select('_id');
+      order[fromColumn] = remaining.map((sibling) => sibling._id);
+      await writeColumnOrder(project._id, fromColumn, order[fromColumn]);
+
+      // completedAt tracks when a task last reached done
+      await Task.updateOne({ _id: task._id }, column === 'done'
+        ? { $set: { completedAt: new Date(), updatedAt: new Date() } }
+        : { $set: { updatedAt: new Date() }, $unset: { completedAt: 1 } });
+      await recordActivity(req, project, 'task.moved', {
+        changes: [{ field: 'column', from: fromColumn, to: column }],
+        details: { taskId: task._id, title: task.title }
+      });
+      if (fromColumn === 'done' || column === 'done') {
+        await invalidateThroughput(req, project);
+      }
+    }
+
+    const moved = await populateTask(await Task.findById(task._id));
+    res.json({ task: moved, order });
+    req.app.locals.io.to(`project-${project._id}`).emit('tasks-reordered', { task: moved, order });
+  } catch (error) {
+    req.log.error('Move task error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/projects/:id/tasks/:taskId', authenticateToken, validate(schemas.task), authorizeProject('update'), async (req, res) => {
+  try {
+    const { project } = req;
+
+    const task = await Task.findOneAndDelete({ _id: req.params.taskId, project: project._id });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const remaining = await Task.find({ project: project._id, column: task.column })
+      .sort({ position: 1 })
+      .select('_id');
+    await writeColumnOrder(project._id, task.column, remaining.map((sibling) => sibling._id));
+    await recordActivity(req, project, 'task.deleted', {
+      details: { taskId: task._id, title: task.title }
+    });
+    if (task.completedAt) {
+      await invalidateThroughput(req, project);
+    }
+
+    res.json({ message: 'Task deleted successfully' });
+    req.app.locals.io.to(`project-${project._id}`).emit('task-deleted', { _id: task._id, project: project._id, column: task.column });
+  } catch (error) {
+    req.log.error('Delete task error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Attachment routes
+// Files are buffered in memory (bounded by the per-file limit), checked
+// against the project quota, then handed to the storage backend.
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_FILE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    const error = new Error(`Files of type ${file.mimetype} are not allowed`);
+    error.code = 'UNSUPPORTED_TYPE';
+    cb(error);
+  }
+});
+
+// The declared type comes from the client, so the content has to agree with
+// it: binary formats by their leading bytes, text formats by being UTF-8
+// without NUL bytes. Office documents are zip or OLE containers, which is as
+// far as a signature goes. Types with no entry here (only possible through
+// ATTACHMENT_MIME_TYPES) are taken as declared.
+const ZIP_SIGNATURE = [{ bytes: [0x50, 0x4b, 0x03, 0x04] }];
+const MIME_SIGNATURES = {
+  'image/png': [{ bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }],
+  'image/jpeg': [{ bytes: [0xff, 0xd8, 0xff] }],
+  'image/gif': [{ bytes: Buffer.from('GIF87a') }, { bytes: Buffer.from('GIF89a') }],
+  'image/webp': [{ bytes: Buffer.from('WEBP'), offset: 8 }],
+  'application/pdf': [{ bytes: Buffer.from('%PDF-') }],
+  'application/zip': ZIP_SIGNATURE,
+  'application/gzip': [{ bytes: [0x1f, 0x8b] }],
+  'application/x-tar': [{ bytes: Buffer.from('ustar'), offset: 257 }],
+  'application/msword': [{ bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ZIP_SIGNATURE,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ZIP_SIGNATURE,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ZIP_SIGNATURE
+};
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown', 'text/csv', 'application/json'];
+
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const contentMatchesType = (buffer, mimeType) => {
+  if (TEXT_MIME_TYPES.includes(mimeType)) return isText(buffer);
+  const signatures = MIME_SIGNATURES[mimeType];
+  if (!signatures) return true;
+  return signatures.some(({ bytes, offset = 0 }) =>
+    buffer.length >= offset + bytes.length &&
+    Buffer.from(bytes).equals(buffer.subarray(offset, offset + bytes.length)));
+};
+
+const uploadAttachment = (req, res, next) => attachmentUpload.single('file')(req, res, (error) => {
+  if (!error) return next();
+
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: `Files may be at most ${ATTACHMENT_MAX_FILE_MB} MB`, code: 'FILE_TOO_LARGE' });
+  }
+  if (error.code === 'UNSUPPORTED_TYPE') {
+    return res.status(415).json({ error: error.message, code: 'UNSUPPORTED_TYPE', allowed: ATTACHMENT_MIME_TYPES });
+  }
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json(validationError([
+      { field: error.field || 'file', location: 'body', message: error.message }
+    ]));
+  }
+  next(error);
+});
+
+const projectStorageUsed = async (projectId) => {
+  const [usage] = await Attachment.aggregate([
+    { $match: { project: new mongoose.Types.ObjectId(projectId) } },
+    { $group: { _id: null, bytes: { $sum: '$size' } } }
+  ]);
+  return usage ? usage.bytes : 0;
+};
+
+const storageUsage = async (projectId) => ({
+  used: await projectStorageUsed(projectId),
+  quota: ATTACHMENT_PROJECT_QUOTA_MB * 1024 * 1024,
+  maxFileSize: ATTACHMENT_MAX_FILE_MB * 1024 * 1024,
+  allowedTypes: ATTACHMENT_MIME_TYPES
+});
+
+const removeProjectAttachments = async (storage, projectId) => {
+  const attachments = await Attachment.find({ project: projectId });
+  for (const attachment of attachments) {
+    await storage.remove(attachment.storageKey);
+  }
+  await Attachment.deleteMany({ project: projectId });
+};
+
+router.get('/api/projects/:id/attachments', authenticateToken, validate(schemas.project), authorizeProject('read'), async (req, res) => {
+  try {
+    const [attachments, usage] = await Promise.all([
+      Attachment.find({ project: req.project._id })
+        .populate('uploadedBy', 'username')
+        .sort({ createdAt: -1 }),
+      storageUsage(req.project._id)
+    ]);
+
+    res.json({ attachments, usage });
+  } catch (error) {
+    req.log.error('List attachments error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/projects/:id/attachments', authenticateToken, validate(schemas.project), authorizeProject('update'), uploadAttachment, async (req, res) => {
+  try {
+    const { project, file } = req;
+
+    if (!file) {
+      return res.status(400).json(validationError([
+        { field: 'file', location: 'body', message: 'file is required' }
+      ]));
+    }
+
+    if (!contentMatchesType(file.buffer, file.mimetype)) {
+      return res.status(415).json({
+        error: `File content does not match its declared type ${file.mimetype}`,
+        code: 'UNSUPPORTED_TYPE',
+        allowed: ATTACHMENT_MIME_TYPES
+      });
+    }
+
+    const quota = ATTACHMENT_PROJECT_QUOTA_MB * 1024 * 1024;
+    const used = await projectStorageUsed(project._id);
+    if (used + file.size > quota) {
+      return res.status(413).json({
+        error: `This upload would exceed the project's ${ATTACHMENT_PROJECT_QUOTA_MB} MB storage quota`,
+        code: 'QUOTA_EXCEEDED',
+        used,
+        quota
+      });
+    }
+
+    const { storage } = req.app.locals;
+    const storageKey = `${project._id}/${crypto.randomBytes(16).toString('hex')}`;
+    await storage.put(storageKey, file.buffer, file.mimetype);
+
+    const attachment = await Attachment.create({
+      project: project._id,
+      uploadedBy: req.user.userId,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      storageDriver: storage.driver,
+      storageKey
+    });
+    await attachment.populate('uploadedBy', 'username');
+    await recordActivity(req, project, 'attachment.added', {
+      details: { attachmentId: attachment._id, title: attachment.originalName, size: attachment.size }
+    });
+
+    res.status(201).json(attachment);
+    req.app.locals.io.to(`project-${project._id}`).emit('attachment-created', attachment);
+  } catch (error) {
+    req.log.error('Upload attachment error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/projects/:id/attachments/:attachmentId/download', authenticateToken, validate(schemas.attachment), authorizeProject('read'), async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, project: req.project._id });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const stream = await req.app.locals.storage.get(attachment.storageKey);
+    const asciiName = attachment.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`
+    });
+    stream.on('error', (error) => {
+      req.log.error('Attachment stream error', { error });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: 'Attachment file is missing from storage' });
+    }
+    req.log.error('Download attachment error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/projects/:id/attachments/:attachmentId', authenticateToken, validate(schemas.attachment), authorizeProject('update'), async (req, res) => {
+  try {
+    const { project } = req;
+
+    const attachment = await Attachment.findOneAndDelete({ _id: req.params.attachmentId, project: project._id });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await req.app.locals.storage.remove(attachment.storageKey);
+    await recordActivity(req, project, 'attachment.removed', {
+      details: { attachmentId: attachment._id, title: attachment.originalName }
+    });
+
+    res.json({ message: 'Attachment deleted successfully' });
+    req.app.locals.io.to(`project-${project._id}`).emit('attachment-deleted', { _id: attachment._id, project: project._id });
+  } catch (error) {
+    req.log.error('Delete attachment error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Comment routes
+// Any member may read and post; comments can only be edited or deleted by
+// their author. Bodies are stored as markdown and rendered by the client.
+
+// The @ must not follow a word character or another @, so email addresses
+// aren't mentions. The client highlights with the same boundary.
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_.-]{3,30})/g;
+
+// Resolves @username mentions to project members; mentions of anyone else
+// are left as plain text
+const resolveMentions = async (project, body) => {
+  const mentions = [...new Set([...body.matchAll(MENTION_PATTERN)].map((match) => match[2]))];
+  if (mentions.length === 0) return [];
+
+  // "thanks @bob." captures the full stop. Usernames may end in dots and
+  // dashes too, so an exact match wins and the trimmed name is the fallback.
+  const trimmed = (name) => name.replace(/[.-]+$/, '');
+  const users = await User.find({ username: { $in: mentions.flatMap((name) => [name, trimmed(name)]) } })
+    .select('_id username');
+  const byUsername = new Map(users.map((user) => [user.username, user._id]));
+  const userIds = mentions
+    .map((name) => byUsername.get(name) || byUsername.get(trimmed(name)))
+    .filter(Boolean);
+
+  return [...new Map(userIds.map((userId) => [String(userId), userId])).values()]
+    .filter((userId) => getProjectRole(project, userId));
+};
+
+const populateComment = (comment) => comment.populate([
+  { path: 'author', select: 'username' },
+  { path: 'mentions', select: 'username' }
+]);
+
+const notifyMentions = (req, project, comment, userIds) => notify(req, userIds, {
+  type: 'mention',
+  message: `${req.user.username} mentioned you in ${project.name}`,
+  project,
+  actor: req.user.userId,
+  data: { commentId: comment._id }
+});
+
+router.get('/api/projects/:id/comments', authenticateToken, validate(schemas.comments), authorizeProject('read'), async (req, res) => {
+  try {
+    const comments = await Comment.find({ project: req.project._id })
+      .populate('author', 'username')
+      .populate('mentions', 'username')
+      .sort({ createdAt: 1 });
+
+    res.json(comments);
+  } catch (error) {
+    req.log.error('List comments error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/projects/:id/comments', authenticateToken, validate(schemas.createComment), authorizeProject('read'), async (req, res) => {
+  try {
+    const { project } = req;
+    const { body, parentId } = req.body;
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, project: project._id });
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+    }
+
+    const mentions = await resolveMentions(project, body);
+    const comment = await Comment.create({
+      project: project._id,
+      author: req.user.userId,
+      parent: parent && parent._id,
+      body,
+      mentions
+    });
+    await populateComment(comment);
+
+    res.status(201).json(comment);
+    req.app.locals.io.to(`project-${project._id}`).emit('comment-created', comment);
+
+    // Every other member hears about the comment once: mentioned members
+    // through the mention, the author of the comment being replied to through
+    // the reply, everyone else (owner included) through a plain notice
+    broadcast(notifyMentions(req, project, comment, mentions));
+    const notified = new Set(mentions.map(String));
+    if (parent && !parent.deletedAt && !notified.has(String(parent.author))) {
+      notified.add(String(parent.author));
+      broadcast(notify(req, [parent.author], {
+        type: 'comment',
+        message: `${req.user.username} replied to your comment in ${project.name}`,
+        project,
+        actor: req.user.userId,
+        data: { commentId: comment._id }
+      }));
+    }
+    broadcast(notify(req, projectMemberIds(project).filter((userId) => !notified.has(userId)), {
+      type: 'comment',
+      message: `${req.user.username} commented on ${project.name}`,
+      project,
+      actor: req.user.userId,
+      data: { commentId: comment._id }
+    }));
+  } catch (error) {
+    req.log.error('Create comment error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/api/projects/:id/comments/:commentId', authenticateToken, validate(schemas.updateComment), authorizeProject('read'), async (req, res) => {
+  try {
+    const { project } = req;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, project: project._id, deletedAt: null });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!comment.author.equals(req.user.userId)) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    const previous = comment.mentions.map(String);
+    comment.body = req.body.body;
+    comment.mentions = await resolveMentions(project, comment.body);
+    comment.editedAt = new Date();
+    await comment.save();
+    await populateComment(comment);
+
+    res.json(comment);
+    req.app.locals.io.to(`project-${project._id}`).emit('comment-updated', comment);
+
+    // Only people newly mentioned by the edit hear about it
+    const added = comment.mentions
+      .map((user) => user._id)
+      .filter((userId) => !previous.includes(String(userId)));
+    broadcast(notifyMentions(req, project, comment, added));
+  } catch (error) {
+    req.log.error('Update comment error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/projects/:id/comments/:commentId', authenticateToken, validate(schemas.comment), authorizeProject('read'), async (req, res) => {
+  try {
+    const { project } = req;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, project: project._id, deletedAt: null });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!comment.author.equals(req.user.userId)) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    const hasReplies = await Comment.exists({ parent: comment._id });
+    if (hasReplies) {
+      comment.body = '';
+      comment.mentions = [];
+      comment.deletedAt = new Date();
+      await comment.save();
+      await populateComment(comment);
+      req.app.locals.io.to(`project-${project._id}`).emit('comment-updated', comment);
+    } else {
+      await comment.deleteOne();
+      req.app.locals.io.to(`project-${project._id}`).emit('comment-deleted', { _id: comment._id, project: project._id });
+    }
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    req.log.error('Delete comment error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Collaborator routes
+
+// Maintainers may manage editors and viewers; only the owner may hand out or
+// take away the maintainer role.
+const canManageRole = (actorRole, role) => actorRole === 'owner' || role !== 'maintainer';
+
+router.get('/api/projects/:id/members', authenticateToken, validate(schemas.project), authorizeProject('read'), async (req, res) => {
+  try {
+    const { project, projectRole } = req;
+    await project.populate('owner', 'username email');
+    await project.populate('collaborators.user', 'username email');
+    await project.populate('invitations.user', 'username email');
+
+    // Only people who can change membership get to see who has been invited
+    res.json({
+      owner: project.owner,
+      collaborators: project.collaborators,
+      invitations: can(projectRole, 'members')
+        ? project.invitations.filter((invitation) => invitation.status === 'pending')
+        : [],
+      role: projectRole,
+      permissions: PROJECT_PERMISSIONS[projectRole]
+    });
+  } catch (error) {
+    req.log.error('Get members error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/projects/:id/invitations', authenticateToken, validate(schemas.invite), authorizeProject('members'), async (req, res, next) => {
+  try {
+    const { project, projectRole } = req;
+    const { identifier, role = 'editor' } = req.body;
+
+    if (!canManageRole(projectRole, role)) {
+      return res.status(403).json({ error: 'Insufficient permissions to invite with this role' });
+    }
+
+    const invitee = await User.findOne({
+      $or: [{ email: identifier }, { username: identifier }]
+    });
+    if (!invitee) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (getProjectRole(project, invitee._id)) {
+      return res.status(400).json({ error: 'User is already a member of this project' });
+    }
+
+    const alreadyInvited = project.invitations.some(
+      (invitation) => invitation.user.equals(invitee._id) && invitation.status === 'pending'
+    );
+    if (alreadyInvited) {
+      return res.status(400).json({ error: 'User already has a pending invitation' });
+    }
+
+    project.invitations.push({ user: invitee._id, invitedBy: req.user.userId, role });
+    await project.save();
+    await invalidateProjectCaches(req, projectMemberIds(project));
+
+    const invitation = project.invitations[project.invitations.length - 1];
+    await recordActivity(req, project, 'member.invited', {
+      details: { userId: invitee._id, username: invitee.username, role }
+    });
+
+    res.status(201).json({
+      _id: invitation._id,
+      user: { _id: invitee._id, username: invitee.username, email: invitee.email },
+      role: invitation.role,
+      status: invitation.status,
+      createdAt: invitation.createdAt
+    });
+    broadcast(notify(req, [invitee._id], {
+      type: 'invitation',
+      message: `${req.user.username} invited you to ${project.name} as ${role}`,
+      project,
+      actor: req.user.userId,
+      data: { invitationId: invitation._id, role }
+    }));
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Invite member error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/projects/:id/invitations/:invitationId', authenticateToken, validate(schemas.projectInvitation), authorizeProject('members'), async (req, res, next) => {
+  try {
+    const { project } = req;
+
+    const invitation = project.invitations.id(req.params.invitationId);
+    if (!invitation || invitation.status !== 'pending') {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const { user: inviteeId, role } = invitation;
+    invitation.deleteOne();
+    await project.save();
+    await invalidateProjectCaches(req, projectMemberIds(project));
+    await recordActivity(req, project, 'invitation.cancelled', {
+      details: { userId: inviteeId, role }
+    });
+
+    res.json({ message: 'Invitation cancelled' });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Cancel invitation error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/invitations', authenticateToken, async (req, res) => {
+  try {
+    const projects = await Project.find({
+      invitations: { $elemMatch: { user: req.user.userId, status: 'pending' } }
+    })
+      .populate('owner', 'username email')
+      .populate('invitations.invitedBy', 'username email');
+
+    const invitations = projects.map((project) => {
+      const invitation = project.invitations.find(
+        (item) => item.user.equals(req.user.userId) && item.status === 'pending'
+      );
+
+      return {
+        _id: invitation._id,
+        project: {
+          _id: project._id,
+          name: project.name,
+          technology: project.technology,
+          owner: project.owner
+        },
+        role: invitation.role,
+        invitedBy: invitation.invitedBy,
+        createdAt: invitation.createdAt
+      };
+    });
+
+    res.json(invitations);
+  } catch (error) {
+    req.log.error('Get invitations error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/invitations/:invitationId/:response(accept|decline)', authenticateToken, validate(schemas.respondInvitation), async (req, res, next) => {
+  try {
+    const { invitationId, response } = req.params;
+
+    const project = await Project.findOne({ 'invitations._id': invitationId });
+    const invitation = project && project.invitations.id(invitationId);
+
+    if (!invitation || !invitation.user.equals(req.user.userId) || invitation.status !== 'pending') {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    invitation.status = response === 'accept' ? 'accepted' : 'declined';
+    invitation.respondedAt = new Date();
+    if (response === 'accept' && !getProjectRole(project, req.user.userId)) {
+      project.collaborators.push({ user: req.user.userId, role: invitation.role });
+    }
+
+    await project.save();
+    await invalidateProjectCaches(req, projectMemberIds(project));
+    await recordActivity(req, project, response === 'accept' ? 'member.joined' : 'invitation.declined', {
+      details: { role: invitation.role }
+    });
+
+    res.json({
+      message: `Invitation ${invitation.status}`,
+      projectId: project._id
+    });
+    if (response === 'accept') {
+      broadcast(emitProjectEvent('project-updated', project, req));
+    }
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Respond to invitation error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/api/projects/:id/members/:userId', authenticateToken, validate(schemas.memberRole), authorizeProject('members'), async (req, res, next) => {
+  try {
+    const { project, projectRole } = req;
+    const { role } = req.body;
+
+    const membership = project.collaborators.find((member) => member.user.equals(req.params.userId));
+    if (!membership) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!canManageRole(projectRole, membership.role) || !canManageRole(projectRole, role)) {
+      return res.status(403).json({ error: 'Insufficient permissions to change this role' });
+    }
+
+    const previousRole = membership.role;
+    membership.role = role;
+    project.updatedAt = new Date();
+    await project.save();
+    await recordActivity(req, project, 'member.role-changed', {
+      changes: [{ field: 'role', from: previousRole, to: role }],
+      details: { userId: membership.user }
+    });
+    await invalidateProjectCaches(req, projectMemberIds(project));
+
+    res.json({ message: 'Member role updated', userId: membership.user, role });
+    broadcast(emitProjectEvent('project-updated', project, req));
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Update member role error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/projects/:id/members/:userId', authenticateToken, validate(schemas.member), authorizeProject('members'), async (req, res, next) => {
+  try {
+    const { project, projectRole } = req;
+    const { userId } = req.params;
+
+    if (project.owner.equals(userId)) {
+      return res.status(400).json({ error: 'The owner cannot be removed; transfer ownership first' });
+    }
+
+    const membership = project.collaborators.find((member) => member.user.equals(userId));
+    if (!membership) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!canManageRole(projectRole, membership.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions to remove this member' });
+    }
+
+    project.collaborators = project.collaborators.filter((member) => !member.user.equals(userId));
+    project.updatedAt = new Date();
+    await project.save();
+    // Former members can't hold work in the project
+    await Task.updateMany({ project: project._id, assignee: userId }, { $unset: { assignee: 1 } });
+    await recordActivity(req, project, 'member.removed', {
+      details: { userId, role: membership.role }
+    });
+    await invalidateProjectCaches(req, [...projectMemberIds(project), String(userId)]);
+
+    res.json({ message: 'Member removed successfully' });
+    emitProjectRemoved(project, [userId], req);
+    broadcast(emitProjectEvent('project-updated', project, req));
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Remove member error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/projects/:id/transfer-ownership', authenticateToken, validate(schemas.transferOwnership), authorizeProject('transfer'), async (req, res, next) => {
+  try {
+    const { project } = req;
+    const { userId } = req.body;
+
+    if (!project.collaborators.some((member) => member.user.equals(userId))) {
+      return res.status(400).json({ error: 'Ownership can only be transferred to an existing collaborator' });
+    }
+
+    // The previous owner stays on the project as a maintainer
+    project.collaborators = project.collaborators
+      .filter((member) => !member.user.equals(userId))
+      .concat({ user: project.owner, role: 'maintainer' });
+    const previousOwner = project.owner;
+    project.owner = userId;
+    project.updatedAt = new Date();
+    await project.save();
+    await recordActivity(req, project, 'ownership.transferred', {
+      changes: [{ field: 'owner', from: previousOwner, to: project.owner }]
+    });
+    await project.populate('owner', 'username email');
+    await project.populate('collaborators.user', 'username email');
+    await invalidateProjectCaches(req, projectMemberIds(project));
+
+    res.json({
+      ...project.toJSON(),
+      ...permissionsFor(project, req.user.userId)
+    });
+    broadcast(emitProjectEvent('project-updated', project, req));
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Transfer ownership error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Notification routes
+router.get('/api/notifications', authenticateToken, validate(schemas.listNotifications), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = { user: req.user.userId };
+    if (req.query.unread) {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'username')
+        .populate('project', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user.userId, readAt: null })
+    ]);
+
+    res.json({ notifications, total, unread, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    req.log.error('List notifications error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    req.log.error('Mark all notifications read error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/notifications/:id/read', authenticateToken, validate(schemas.notification), async (req, res) => {
+  try {
+    // Keeps the original readAt when the notification was already read
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    ) || await Notification.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    req.log.error('Mark notification read error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/notifications/:id', authenticateToken, validate(schemas.notification), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    req.log.error('Delete notification error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Analytics endpoint
+router.get('/api/analytics/stats', authenticateToken, async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+
+    // Site-wide totals don't depend on the caller. Project writes drop them
+    // (invalidateProjectCaches); new sign-ups show up within the TTL.
+    let totals = await req.app.locals.cache.get('analytics:totals');
+    if (!totals) {
+      const [userCount, projectCount] = await Promise.all([
+        User.countDocuments(),
+        Project.countDocuments()
+      ]);
+      totals = { userCount, projectCount };
+      await req.app.locals.cache.set('analytics:totals', totals, CACHE_TTL_SECONDS);
+    }
+
+    const stats = await cachedForUser(req, 'analytics', async () => {
+      const [userProjects, projectsByStatus, projectsByTechnology] = await Promise.all([
+        Project.countDocuments(memberFilter(req.user.userId)),
+        Project.aggregate([
+          {
+            $match: memberFilter(userId)
+          },
+          {
+            $group: {
+              _id: '$status',
+              count: { $sum: 1 }
+            }
+          }
+        ]),
+        Project.aggregate([
+          {
+            $match: memberFilter(userId)
+          },
+          {
+            $group: {
+              _id: '$technology',
+              count: { $sum: 1 }
+            }
+          }
+        ])
+      ]);
+
+      return { userProjects, projectsByStatus, projectsByTechnology };
+    });
+
+    res.json({
+      userCount: totals.userCount,
+      projectCount: totals.projectCount,
+      ...stats
+    });
+  } catch (error) {
+    req.log.error('Analytics error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Time-series analytics
+// Every series takes ?from, ?to (ISO dates) and ?bucket=week|month, defaults
+// to the last 12 buckets, and covers the projects the caller is a member of.
+// Durations are reported in hours.
+const shiftBucket = (start, bucket, count) => {
+  const shifted = new Date(start);
+  if (bucket === 'month') {
+    shifted.setUTCMonth(shifted.getUTCMonth() + count);
+  } else {
+    shifted.setUTCDate(shifted.getUTCDate() + 7 * count);
+  }
+  return shifted;
+};
+
+const bucketStart = (date, bucket) => {
+  const start = new Date(Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    bucket === 'month' ? 1 : date.getUTCDate()
+  ));
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+// Resolves the query into bucket start dates plus indexOf(date), which maps
+// a date to its bucket (-1 outside the range). Null if there are too many.
+const analyticsRange = ({ from, to, bucket }) => {
+  const end = to || new Date();
+  const start = from || shiftBucket(bucketStart(end, bucket), bucket, -11);
+
+  const buckets = [];
+  for (let current = bucketStart(start, bucket); current <= end; current = shiftBucket(current, bucket, 1)) {
+    if (buckets.length === ANALYTICS_MAX_BUCKETS) return null;
+    buckets.push(current);
+  }
+
+  const positions = new Map(buckets.map((bucketDate, index) => [bucketDate.getTime(), index]));
+  const indexOf = (date) => {
+    if (!date || date < start || date > end) return -1;
+    return positions.get(bucketStart(date, bucket).getTime()) ?? -1;
+  };
+
+  return { bucket, from: start, to: end, buckets, indexOf };
+};
+
+const rangeTooLarge = (bucket) => validationError([{
+  field: 'from',
+  location: 'query',
+  message: `the range can span at most ${ANALYTICS_MAX_BUCKETS} ${bucket}s`
+}]);
+
+const seriesResponse = (range, series) => ({
+  bucket: range.bucket,
+  from: range.from,
+  to: range.to,
+  buckets: range.buckets,
+  ...series
+});
+
+const toHours = (ms) => Math.round(ms / 36e5 * 10) / 10;
+const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+// The caller's projects that existed during the range, with their status
+// history in chronological order
+const analyticsProjects = async (userId, range) => {
+  const projects = await Project.find({ ...memberFilter(userId), createdAt: { $lte: range.to } })
+    .select('createdAt statusHistory')
+    .lean();
+
+  return projects.map((project) => ({
+    ...project,
+    statusHistory: [...project.statusHistory].sort((a, b) => a.changedAt - b.changedAt)
+  }));
+};
+
+const analyticsCacheKey = (name, query) => `analytics:${name}:${
+  crypto.createHash('sha1').update(JSON.stringify(query)).digest('hex')
+}`;
+
+// Projects created, and projects reaching deployed, per bucket
+router.get('/api/analytics/projects-over-time', authenticateToken, validate(schemas.analyticsSeries), async (req, res) => {
+  try {
+    const range = analyticsRange(req.query);
+    if (!range) {
+      return res.status(400).json(rangeTooLarge(req.query.bucket));
+    }
+
+    const series = await cachedForUser(req, analyticsCacheKey('projects-over-time', req.query), async () => {
+      const created = range.buckets.map(() => 0);
+      const deployed = range.buckets.map(() => 0);
+
+      for (const project of await analyticsProjects(req.user.userId, range)) {
+        const createdIndex = range.indexOf(project.createdAt);
+        if (createdIndex !== -1) created[createdIndex] += 1;
+
+        for (const change of project.statusHistory) {
+          const index = change.to === 'deployed' ? range.indexOf(change.changedAt) : -1;
+          if (index !== -1) deployed[index] += 1;
+        }
+      }
+
+      return seriesResponse(range, { created, deployed });
+    });
+
+    res.json(series);
+  } catch (error) {
+    req.log.error('Projects over time analytics error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Average time projects spent in each status, counting stays that ended in
+// the bucket (a project's current status isn't a finished stay yet)
+router.get('/api/analytics/status-durations', authenticateToken, validate(schemas.analyticsSeries), async (req, res) => {
+  try {
+    const range = analyticsRange(req.query);
+    if (!range) {
+      return res.status(400).json(rangeTooLarge(req.query.bucket));
+    }
+
+    const series = await cachedForUser(req, analyticsCacheKey('status-durations', req.query), async () => {
+      const stays = Object.fromEntries(PROJECT_STATUSES.map((status) => [status, range.buckets.map(() => [])]));
+
+      for (const project of await analyticsProjects(req.user.userId, range)) {
+        const history = project.statusHistory;
+        for (let i = 0; i < history.length - 1; i++) {
+          const index = range.indexOf(history[i + 1].changedAt);
+          if (index !== -1 && stays[history[i].to]) {
+            stays[history[i].to][index].push(history[i + 1].changedAt - history[i].changedAt);
+          }
+        }
+      }
+
+      const statuses = {};
+      const overall = {};
+      for (const status of PROJECT_STATUSES) {
+        statuses[status] = stays[status].map((durations) => durations.length > 0 ? toHours(average(durations)) : null);
+        const all = stays[status].flat();
+        overall[status] = { count: all.length, averageHours: all.length > 0 ? toHours(average(all)) : null };
+      }
+
+      return seriesResponse(range, { statuses, overall });
+    });
+
+    res.json(series);
+  } catch (error) {
+    req.log.error('Status durations analytics error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lead time from entering planning to first reaching deployed, bucketed by
+// when the project was deployed
+router.get('/api/analytics/lead-time', authenticateToken, validate(schemas.analyticsSeries), async (req, res) => {
+  try {
+    const range = analyticsRange(req.query);
+    if (!range) {
+      return res.status(400).json(rangeTooLarge(req.query.bucket));
+    }
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use(limiter);
+    const series = await cachedForUser(req, analyticsCacheKey('lead-time', req.query), async () => {
+      const leadTimes = range.buckets.map(() => []);
 
-// MongoDB connection
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mcp-supreme-demo';
-mongoose.connect(MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('🍃 MongoDB connected successfully'))
-.catch(err => console.error('❌ MongoDB connection error:', err));
+      for (const project of await analyticsProjects(req.user.userId, range)) {
+        const planning = project.statusHistory.find((change) => change.to === 'planning');
+        const plannedAt = planning ? planning.changedAt : project.createdAt;
+        const deployment = project.statusHistory.find((change) => change.to === 'deployed' && change.changedAt >= plannedAt);
+        const index = deployment ? range.indexOf(deployment.changedAt) : -1;
+        if (index !== -1) leadTimes[index].push(deployment.changedAt - plannedAt);
+      }
 
-// User Schema
-const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  role: { type: String, enum: ['user', 'admin'], default: 'user' },
-  createdAt: { type: Date, default: Date.now }
-});
+      const all = leadTimes.flat().sort((a, b) => a - b);
+      const middle = Math.floor(all.length / 2);
+      const median = all.length % 2 === 1 ? all[middle] : (all[middle - 1] + all[middle]) / 2;
 
-const User = mongoose.model('User', userSchema);
+      return seriesResponse(range, {
+        count: leadTimes.map((values) => values.length),
+        averageHours: leadTimes.map((values) => values.length > 0 ? toHours(average(values)) : null),
+        overall: {
+          count: all.length,
+          averageHours: all.length > 0 ? toHours(average(all)) : null,
+          medianHours: all.length > 0 ? toHours(median) : null
+        }
+      });
+    });
 
-// Project Schema
-const projectSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  description: { type: String },
-  technology: { type: String, required: true },
-  status: { type: String, enum: ['planning', 'development', 'testing', 'deployed'], default: 'planning' },
-  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  collaborators: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
+    res.json(series);
+  } catch (error) {
+    req.log.error('Lead time analytics error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-const Project = mongoose.model('Project', projectSchema);
-
-// Auth middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Tasks completed per assignee and bucket
+router.get('/api/analytics/member-throughput', authenticateToken, validate(schemas.analyticsSeries), async (req, res) => {
+  try {
+    const range = analyticsRange(req.query);
+    if (!range) {
+      return res.status(400).json(rangeTooLarge(req.query.bucket));
+    }
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
+    const series = await cachedForUser(req, analyticsCacheKey('member-throughput', req.query), async () => {
+      const projectIds = await Project.find(memberFilter(req.user.userId)).distinct('_id');
+      const tasks = await Task.find({
+        project: { $in: projectIds },
+        completedAt: { $gte: range.from, $lte: range.to }
+      })
+        .select('assignee completedAt')
+        .populate('assignee', 'username')
+        .lean();
 
-  jwt.verify(token, process.env.JWT_SECRET || 'mcp-supreme-secret', (err, user) => {
-    if (err) return res.status(403).json({ error: 'Invalid token' });
-    req.user = user;
-    next();
-  });
-};
+      const members = new Map();
+      for (const task of tasks) {
+        const key = task.assignee ? String(task.assignee._id) : 'unassigned';
+        if (!members.has(key)) {
+          members.set(key, { user: task.assignee || null, total: 0, completed: range.buckets.map(() => 0) });
+        }
+        const index = range.indexOf(task.completedAt);
+        if (index === -1) continue;
+        const member = members.get(key);
+        member.completed[index] += 1;
+        member.total += 1;
+      }
 
-// Routes
+      return seriesResponse(range, {
+        members: [...members.values()].sort((a, b) => b.total - a.total)
+      });
+    });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    message: '🚀 MCP Supreme Demo App is running!',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
+    res.json(series);
+  } catch (error) {
+    req.log.error('Member throughput analytics error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Auth routes
-app.post('/api/auth/register', async (req, res) => {
+// Admin routes
+router.get('/api/admin/users', authenticateToken, requireAdmin, validate(schemas.adminUsers), async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { search, role } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ $or: [{ email }, { username }] });
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) {
+      filter.role = role;
     }
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const [users, total] = await Promise.all([
+      User.find(filter).select('-password -twoFactor').sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
 
-    // Create user
-    const user = new User({
-      username,
-      email,
-      password: hashedPassword
-    });
+    res.json({ users, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    req.log.error('Admin list users error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    await user.save();
+router.patch('/api/admin/users/:id/role', authenticateToken, requireAdmin, validate(schemas.adminUserRole), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      process.env.JWT_SECRET || 'mcp-supreme-secret',
-      { expiresIn: '24h' }
-    );
+    if (id === String(req.user.userId) && role !== 'admin') {
+      return res.status(400).json({ error: 'Admins cannot demote themselves' });
+    }
 
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
-    });
+    const user = await User.findByIdAndUpdate(id, { role }, { new: true }).select('-password -twoFactor');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
   } catch (error) {
-    console.error('Registration error:', error);
+    req.log.error('Admin update role error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+router.patch('/api/admin/users/:id/status', authenticateToken, requireAdmin, validate(schemas.adminUserStatus), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { id } = req.params;
+    const { disabled } = req.body;
+
+    if (id === String(req.user.userId) && disabled) {
+      return res.status(400).json({ error: 'Admins cannot disable their own account' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      { disabled, disabledAt: disabled ? new Date() : null },
+      { new: true }
+    ).select('-password -twoFactor');
 
-    // Find user
-    const user = await User.findOne({ email });
     if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Sign the account out everywhere, including live socket connections
+    if (disabled) {
+      await revokeSessions(req, { user: user._id });
+      req.app.locals.io.in(`user-${user._id}`).disconnectSockets(true);
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      process.env.JWT_SECRET || 'mcp-supreme-secret',
-      { expiresIn: '24h' }
-    );
+    res.json(user);
+  } catch (error) {
+    req.log.error('Admin update status error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
+router.post('/api/admin/users/:id/unlock', authenticateToken, requireAdmin, validate(schemas.adminUser), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await clearLoginFailures(user);
+    await recordSecurityEvent('account-unlocked', req, {
+      user: user._id,
+      email: user.email,
+      details: { via: 'admin', admin: req.user.userId }
     });
+
+    res.json({ message: `${user.username} unlocked` });
   } catch (error) {
-    console.error('Login error:', error);
+    req.log.error('Admin unlock user error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Project routes
-app.get('/api/projects', authenticateToken, async (req, res) => {
+router.get('/api/admin/security-events', authenticateToken, requireAdmin, validate(schemas.adminSecurityEvents), async (req, res) => {
   try {
-    const projects = await Project.find({
-      $or: [
-        { owner: req.user.userId },
-        { collaborators: req.user.userId }
-      ]
-    }).populate('owner', 'username email').populate('collaborators', 'username email');
+    const { type } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = type ? { type } : {};
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .populate('user', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      SecurityEvent.countDocuments(filter)
+    ]);
 
-    res.json(projects);
+    res.json({ events, total, page, pages: Math.ceil(total / limit) });
   } catch (error) {
-    console.error('Get projects error:', error);
+    req.log.error('Admin security events error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/projects', authenticateToken, async (req, res) => {
+router.get('/api/admin/projects', authenticateToken, requireAdmin, validate(schemas.adminProjects), async (req, res) => {
   try {
-    const { name, description, technology } = req.body;
+    const { search, status } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
 
-    const project = new Project({
-      name,
-      description,
-      technology,
-      owner: req.user.userId
-    });
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { description: pattern }, { technology: pattern }];
+    }
+    if (status) {
+      filter.status = status;
+    }
 
-    await project.save();
-    await project.populate('owner', 'username email');
+    const [projects, total] = await Promise.all([
+      Project.find(filter)
+        .populate('owner', 'username email')
+        .populate('collaborators.user', 'username email')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Project.countDocuments(filter)
+    ]);
 
-    res.status(201).json(project);
+    res.json({ projects, total, page, pages: Math.ceil(total / limit) });
   } catch (error) {
-    console.error('Create project error:', error);
+    req.log.error('Admin list projects error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.put('/api/projects/:id', authenticateToken, async (req, res) => {
+router.post('/api/admin/projects/:id/reassign', authenticateToken, requireAdmin, validate(schemas.adminReassign), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-
-    const project = await Project.findOne({
-      _id: id,
-      $or: [
-        { owner: req.user.userId },
-        { collaborators: req.user.userId }
-      ]
-    });
+    const { identifier } = req.body;
 
+    const project = await Project.findById(req.params.id);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    Object.assign(project, updates);
-    project.updatedAt = new Date();
-    await project.save();
+    const newOwner = await User.findOne({
+      $or: [{ email: identifier }, { username: identifier }]
+    });
+    if (!newOwner) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!project.owner.equals(newOwner._id)) {
+      // The previous owner keeps access as a maintainer
+      project.collaborators = project.collaborators
+        .filter((member) => !member.user.equals(newOwner._id))
+        .concat({ user: project.owner, role: 'maintainer' });
+      const previousOwner = project.owner;
+      project.owner = newOwner._id;
+      project.updatedAt = new Date();
+      await project.save();
+      await recordActivity(req, project, 'ownership.transferred', {
+        changes: [{ field: 'owner', from: previousOwner, to: newOwner._id }],
+        details: { byAdmin: true }
+      });
+    }
+
     await project.populate('owner', 'username email');
-    await project.populate('collaborators', 'username email');
+    await project.populate('collaborators.user', 'username email');
+    await invalidateProjectCaches(req, projectMemberIds(project));
 
     res.json(project);
+    broadcast(emitProjectEvent('project-updated', project, req));
   } catch (error) {
-    console.error('Update project error:', error);
+    if (error instanceof mongoose.Error.VersionError) return next(error);
+    req.log.error('Admin reassign project error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.delete('/api/projects/:id', authenticateToken, async (req, res) => {
+router.get('/api/admin/activity', authenticateToken, requireAdmin, validate(schemas.adminActivity), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { actor, project, action } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
 
-    const project = await Project.findOne({
-      _id: id,
-      owner: req.user.userId
-    });
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (project) filter.project = project;
+    if (action) filter.action = action;
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found or insufficient permissions' });
-    }
+    const [activity, total] = await Promise.all([
+      Activity.find(filter)
+        .populate('actor', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Activity.countDocuments(filter)
+    ]);
 
-    await Project.findByIdAndDelete(id);
-    res.json({ message: 'Project deleted successfully' });
+    res.json({ activity, total, page, pages: Math.ceil(total / limit) });
   } catch (error) {
-    console.error('Delete project error:', error);
+    req.log.error('Admin activity error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Analytics endpoint
-app.get('/api/analytics/stats', authenticateToken, async (req, res) => {
+router.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const userCount = await User.countDocuments();
-    const projectCount = await Project.countDocuments();
-    const userProjects = await Project.countDocuments({
-      $or: [
-        { owner: req.user.userId },
-        { collaborators: req.user.userId }
-      ]
-    });
-
-    const projectsByStatus = await Project.aggregate([
-      {
-        $match: {
-          $or: [
-            { owner: new mongoose.Types.ObjectId(req.user.userId) },
-            { collaborators: new mongoose.Types.ObjectId(req.user.userId) }
-          ]
-        }
-      },
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
-    const projectsByTechnology = await Project.aggregate([
-      {
-        $match: {
-          $or: [
-            { owner: new mongoose.Types.ObjectId(req.user.userId) },
-            { collaborators: new mongoose.Types.ObjectId(req.user.userId) }
-          ]
-        }
-      },
-      {
-        $group: {
-          _id: '$technology',
-          count: { $sum: 1 }
-        }
-      }
+    const [
+      userCount,
+      adminCount,
+      disabledCount,
+      newUsers,
+      projectCount,
+      newProjects,
+      projectsByStatus,
+      projectsByTechnology
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ role: 'admin' }),
+      User.countDocuments({ disabled: true }),
+      User.countDocuments({ createdAt: { $gte: weekAgo } }),
+      Project.countDocuments(),
+      Project.countDocuments({ createdAt: { $gte: weekAgo } }),
+      Project.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Project.aggregate([{ $group: { _id: '$technology', count: { $sum: 1 } } }])
     ]);
 
     res.json({
       userCount,
+      adminCount,
+      disabledCount,
+      newUsers,
       projectCount,
-      userProjects,
+      newProjects,
       projectsByStatus,
       projectsByTechnology
     });
   } catch (error) {
-    console.error('Analytics error:', error);
+    req.log.error('Admin stats error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // WebSocket setup for real-time features
-const http = require('http');
-const socketIo = require('socket.io');
+// Each server gets its own Socket.IO instance (see createServer()); the
+// handlers below are shared.
 
-const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: process.env.FRONTEND_URL || "http://localhost:3000",
-    methods: ["GET", "POST"]
+// Socket.IO across containers
+// With REDIS_URL set, rooms and emits go through Redis pub/sub: an event
+// emitted on one container reaches matching sockets on every other, and
+// fetchSockets() sees all of them. Server-side emits therefore don't depend
+// on which container a client is connected to. Without Redis (or if it can't
+// be reached at startup) Socket.IO stays in-process.
+const SOCKET_REDIS_CONNECT_TIMEOUT_MS = parseInt(process.env.SOCKET_REDIS_CONNECT_TIMEOUT_MS, 10) || 5000;
+
+// Returns the Redis clients it connected, for closing the server, or null
+const attachRedisAdapter = async (io, url) => {
+  if (!url) return null;
+
+  const pubClient = createClient({ url });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (error) => logger.error('Socket.IO Redis error', { error: error.message }));
   }
-});
 
-io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
+  let timer;
+  try {
+    await Promise.race([
+      Promise.all([pubClient.connect(), subClient.connect()]),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('connection timed out')), SOCKET_REDIS_CONNECT_TIMEOUT_MS);
+      })
+    ]);
+  } catch (error) {
+    logger.warn('Socket.IO Redis adapter unavailable, running single-node', { error: error.message });
+    await Promise.allSettled([pubClient.disconnect(), subClient.disconnect()]);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  io.adapter(createAdapter(pubClient, subClient));
+  return [pubClient, subClient];
+};
+
+// Sockets authenticate with the same JWT as the REST API so project events
+// can be held to the same permission rules.
+const authenticateSocket = (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) return next(new Error('Authentication error'));
+
+    try {
+      const [account, session] = await Promise.all([
+        User.findById(user.userId).select('role disabled'),
+        user.sessionId ? Session.findById(user.sessionId).select('revokedAt') : null
+      ]);
+
+      if (!session || session.revokedAt) {
+        return next(new Error('Authentication error'));
+      }
+
+      if (!account || account.disabled) {
+        return next(new Error('Account disabled'));
+      }
+
+      socket.user = { ...user, role: account.role };
+      // socket.data travels with fetchSockets() results from other nodes
+      socket.data.user = { id: user.userId, username: user.username };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+const authorizeSocket = async (socket, projectId, action) => {
+  if (!mongoose.isValidObjectId(projectId)) {
+    return false;
+  }
+
+  const project = await Project.findById(projectId);
+  return Boolean(project) && can(getProjectRole(project, socket.user.userId), action);
+};
+
+const acknowledge = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// Presence
+// Who has a project open, across every node. Each user is listed once
+// however many tabs or devices they have it open in.
+const projectPresence = async (io, projectId) => {
+  const sockets = await io.in(`project-${projectId}`).fetchSockets();
+  const users = new Map(sockets.map((remote) => [remote.data.user.id, remote.data.user]));
+  return [...users.values()];
+};
+
+const emitPresence = async (io, projectId) => {
+  const users = await projectPresence(io, projectId);
+  io.to(`project-${projectId}`).emit('presence', { projectId: String(projectId), users });
+};
+
+const handleSocketConnection = (socket) => {
+  const io = socket.nsp.server;
 
-  socket.on('join-project', (projectId) => {
-    socket.join(`project-${projectId}`);
-    console.log(`👤 User ${socket.id} joined project ${projectId}`);
+  // Tagged like HTTP requests; the id is the handshake's (see initial_headers)
+  socket.log = logger.child({
+    requestId: requestIdFor(socket.request),
+    socketId: socket.id,
+    userId: socket.user.userId
   });
+  socket.log.info('Socket connected');
+
+  // Personal and per-session rooms, used to reach or drop connections of a
+  // given account or device
+  socket.join(`user-${socket.user.userId}`);
+  socket.join(`session-${socket.user.sessionId}`);
 
-  socket.on('project-update', (data) => {
-    socket.to(`project-${data.projectId}`).emit('project-updated', data);
+  socket.on('join-project', async (projectId, ack) => {
+    try {
+      if (!(await authorizeSocket(socket, projectId, 'read'))) {
+        return acknowledge(ack, { ok: false, error: 'Project not found' });
+      }
+
+      socket.join(`project-${projectId}`);
+      socket.log.debug('Joined project', { projectId });
+      acknowledge(ack, { ok: true });
+      broadcast(emitPresence(io, projectId));
+    } catch (error) {
+      socket.log.error('Join project error', { error });
+      acknowledge(ack, { ok: false, error: 'Internal server error' });
+    }
   });
 
-  socket.on('disconnect', () => {
-    console.log('👤 User disconnected:', socket.id);
+  socket.on('leave-project', (projectId, ack) => {
+    socket.leave(`project-${projectId}`);
+    acknowledge(ack, { ok: true });
+    broadcast(emitPresence(io, projectId));
   });
-});
+
+  // Rooms are already gone by 'disconnect', so note them while leaving
+  let openProjects = [];
+  socket.on('disconnecting', () => {
+    openProjects = [...socket.rooms]
+      .filter((room) => room.startsWith('project-'))
+      .map((room) => room.slice('project-'.length));
+  });
+
+  socket.on('disconnect', (reason) => {
+    socket.log.info('Socket disconnected', { reason });
+    openProjects.forEach((projectId) => broadcast(emitPresence(io, projectId)));
+  });
+};
 
 // Error handling
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+const handleError = (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(validationError([
+      { field: '', location: 'body', message: 'Request body is not valid JSON' }
+    ]));
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(400).json(validationError([
+      { field: err.path, location: 'params', message: `${err.path} must be a valid id` }
+    ]));
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json(validationError(Object.values(err.errors).map((fieldError) => ({
+      field: fieldError.path,
+      location: 'body',
+      message: fieldError.message
+    }))));
+  }
+
+  // Project saves check the version they loaded (optimisticConcurrency);
+  // routes pass on the VersionError when a concurrent write landed first
+  if (err instanceof mongoose.Error.VersionError) {
+    return sendSaveConflict(req, res).catch((error) => {
+      req.log.error('Version conflict error', { error });
+      res.status(500).json({ error: 'Internal server error' });
+    });
+  }
+
+  req.log.error('Unhandled error', { error: err });
   res.status(500).json({ error: 'Internal server error' });
-});
+};
 
 // 404 handler
-app.use('*', (req, res) => {
+const handleNotFound = (req, res) => {
   res.status(404).json({ error: 'Route not found' });
-});
+};
+
+// Every route is registered by now, so compare them with the spec.
+// OPENAPI_STRICT=true refuses to start on drift; npm test fails on it too
+// (__tests__/openapi.test.js).
+const specDrift = checkSpecDrift(router, schemas);
+if (specDrift.length > 0) {
+  const message = `OpenAPI spec is out of date with the routes:\n  - ${specDrift.join('\n  - ')}`;
+  if (process.env.OPENAPI_STRICT === 'true') {
+    throw new Error(message);
+  }
+  logger.warn(message);
+}
+
+// Server factory
+// Builds an app, HTTP server and Socket.IO instance with their own cache, rate
+// limits, mailer and storage, all on app.locals. Nothing listens until
+// start(); close() releases everything start() and the cache opened. Set
+// redisUrl (REDIS_URL by default) to share the cache, rate limits and socket
+// rooms with other servers.
+const createServer = ({ redisUrl = process.env.REDIS_URL } = {}) => {
+  const app = express();
+
+  // Behind a load balancer, req.ip (used for rate limiting and lockouts) should
+  // be the client address rather than the proxy's
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+  }
+
+  // Request ids and access log
+  // First, so even requests rejected by later middleware are traceable
+  app.use(requestContext(logger));
+  app.use(accessLog(logger));
+  app.use(metrics.httpMiddleware);
+
+  // Security middleware
+  app.use(helmet());
+  app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id'] }));
+  app.use(express.json({ limit: '10mb' }));
+
+  // Cache
+  // Redis when redisUrl is set, so containers share cached reads and
+  // rate-limit counts; process memory otherwise, and whenever Redis is
+  // unreachable (see cache.js).
+  app.locals.cache = createCache({
+    url: redisUrl,
+    prefix: process.env.REDIS_PREFIX || 'mcp:',
+    logger
+  });
+
+  app.use('/api/', rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.API_RATE_LIMIT, 10) || 1000,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: app.locals.cache.rateLimitStore('rl:api:'),
+    message: { error: 'Too many requests, please try again later' }
+  }));
+  app.locals.authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.AUTH_RATE_LIMIT, 10) || 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: app.locals.cache.rateLimitStore('rl:auth:'),
+    message: { error: 'Too many authentication attempts, please try again later' }
+  });
+
+  app.locals.mailer = createMailTransport();
+  app.locals.storage = createStorage();
+
+  app.use(router);
+  app.use(handleError);
+  app.use('*', handleNotFound);
+
+  const server = http.createServer(app);
+  const io = socketIo(server, {
+    cors: {
+      origin: FRONTEND_URL,
+      methods: ['GET', 'POST']
+    }
+  });
+  app.locals.io = io;
+  const untrackSockets = metrics.trackSockets(io);
+
+  // Socket connections get a request id too, echoed on the handshake response
+  io.engine.on('initial_headers', (headers, req) => {
+    headers['X-Request-Id'] = requestIdFor(req);
+  });
+  io.use(authenticateSocket);
+  io.on('connection', handleSocketConnection);
+
+  let redisClients = null;
+  let purgeTimer = null;
+
+  const start = async (port = PORT) => {
+    if (mongoose.connection.readyState === 0) {
+      mongoose.connect(MONGODB_URI)
+        .then(() => logger.info('MongoDB connected'))
+        .catch((error) => logger.error('MongoDB connection error', { error }));
+    }
+
+    redisClients = await attachRedisAdapter(io, redisUrl);
+    await new Promise((resolve) => server.listen(port, resolve));
+    purgeTimer = startTrashPurge(app.locals.storage);
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`
-🚀 ================================================
-   MCP SUPREME DEMO APP - BACKEND RUNNING
-   ================================================
-   
-   📍 Port: ${PORT}
-   🌍 Environment: ${process.env.NODE_ENV || 'development'}
-   🍃 MongoDB: ${MONGODB_URI}
-   🔒 JWT Secret: ${process.env.JWT_SECRET ? 'Configured' : 'Using default'}
-   
-   📚 Available endpoints:
-   • GET  /health - Health check
-   • POST /api/auth/register - User registration
-   • POST /api/auth/login - User login
-   • GET  /api/projects - Get user projects
-   • POST /api/projects - Create project
-   • PUT  /api/projects/:id - Update project
-   • DEL  /api/projects/:id - Delete project
-   • GET  /api/analytics/stats - Analytics data
-   
-   🔗 WebSocket enabled for real-time updates
-   
-   ✅ Backend is ready for MCP Supreme deployment!
-   ================================================
-`);
-});
-
-module.exports = app;
\ No newline at end of file
+    logger.info('Backend started', {
+      port: server.address().port,
+      environment: process.env.NODE_ENV || 'development',
+      mongodb: MONGODB_URI,
+      cache: app.locals.cache.driver,
+      sockets: redisClients ? 'redis' : 'single-node',
+      docs: '/api/docs'
+    });
+    if (!process.env.JWT_SECRET) {
+      logger.warn('JWT_SECRET is not set, using the built-in default');
+    }
+    return server;
+  };
+
+  // Leaves the mongoose connection alone; other servers may share it
+  const close = async () => {
+    clearInterval(purgeTimer);
+    untrackSockets();
+    // Closes the HTTP server too, once it is listening
+    await new Promise((resolve) => io.close(() => resolve()));
+    await Promise.allSettled((redisClients || []).map((client) => client.quit()));
+    await app.locals.cache.close();
+  };
+
+  return { app, server, io, start, close };
+};
+
+// Listens only when run directly (node server.js); tests require the module
+// and call createServer() for as many servers as they need. `schemas` is
+// exported for the spec drift test.
+if (require.main === module) {
+  createServer().start();
+}
+
+module.exports = {
+  createServer,
+  schemas,
+  base32Encode,
+  generateHotp,
+  matchTotpStep,
+  toCsv,
+  parseCsv,
+  csvRecords,
+  matchesETag,
+  bucketStart,
+  analyticsRange,
+  resolveMentions
+};
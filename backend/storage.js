@@ -0,0 +1,176 @@
+/**
+ * 🚀 MCP SUPREME DEMO APP - FILE STORAGE
+ * Pluggable backends for project attachments. Every backend exposes the same
+ * three calls, keyed by an opaque storage key:
+ *   put(key, buffer, contentType) -> Promise
+ *   get(key)                     -> Promise<Readable>  (rejects with code 'NOT_FOUND')
+ *   remove(key)                  -> Promise            (missing keys are not an error)
+ *
+ * STORAGE_DRIVER=local (default) writes under ATTACHMENT_DIR.
+ * STORAGE_DRIVER=s3 talks to any S3-compatible service (AWS, MinIO, ...)
+ * using path-style URLs and Signature Version 4, so no SDK is needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const notFound = (key) => {
+  const error = new Error(`Stored file not found: ${key}`);
+  error.code = 'NOT_FOUND';
+  return error;
+};
+
+const createLocalStorage = ({ root }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    // Keys are generated by the server, but never let one escape the root
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'local',
+
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    get: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        throw notFound(key);
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as required for the canonical URI
+const encodeSegment = (segment) => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey }) => {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const baseUrl = new URL(endpoint);
+  const transport = baseUrl.protocol === 'https:' ? https : http;
+
+  // Signs and sends one request; resolves with the response stream for 2xx
+  const request = (method, key, { body, contentType } = {}) => new Promise((resolve, reject) => {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+    const uri = `/${encodeSegment(bucket)}/${key.split('/').map(encodeSegment).join('/')}`;
+
+    const headers = {
+      host: baseUrl.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalRequest = [
+      method,
+      uri,
+      '',
+      ...Object.keys(headers).sort().map((name) => `${name}:${headers[name]}`),
+      '',
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['aws4_request', 's3', region, dateStamp]
+      .reduceRight((keyMaterial, part) => hmac(keyMaterial, part), `AWS4${secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const req = transport.request({
+      protocol: baseUrl.protocol,
+      hostname: baseUrl.hostname,
+      port: baseUrl.port,
+      method,
+      path: uri,
+      headers: {
+        ...headers,
+        ...(contentType && { 'content-type': contentType }),
+        ...(body && { 'content-length': body.length }),
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    }, (res) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        return resolve(res);
+      }
+
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode === 404) return reject(notFound(key));
+        reject(new Error(`S3 ${method} ${key} failed with ${res.statusCode}: ${Buffer.concat(chunks).toString('utf8')}`));
+      });
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  return {
+    driver: 's3',
+
+    put: async (key, buffer, contentType) => {
+      const res = await request('PUT', key, { body: buffer, contentType });
+      res.resume();
+    },
+
+    get: (key) => request('GET', key),
+
+    remove: async (key) => {
+      try {
+        const res = await request('DELETE', key);
+        res.resume();
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') throw error;
+      }
+    }
+  };
+};
+
+const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    return createLocalStorage({ root: env.ATTACHMENT_DIR || path.join(__dirname, 'uploads') });
+  }
+
+  if (driver === 's3') {
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+};
+
+module.exports = { createStorage, createLocalStorage, createS3Storage };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   AppBar,
   Toolbar,
@@ -32,7 +32,18 @@ import {
   Avatar,
   Tooltip,
   Paper,
-  Divider
+  Divider,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Switch,
+  CircularProgress,
+  FormHelperText,
+  Menu
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -47,55 +58,518 @@ import {
   Analytics as AnalyticsIcon,
   Assignment as ProjectIcon,
   Person as PersonIcon,
-  Notifications as NotificationsIcon
+  Notifications as NotificationsIcon,
+  Group as GroupIcon,
+  PersonAdd as PersonAddIcon,
+  PersonRemove as PersonRemoveIcon,
+  Star as StarIcon,
+  Check as CheckIcon,
+  Close as CloseIcon,
+  AdminPanelSettings as AdminIcon,
+  ArrowBack as ArrowBackIcon,
+  Block as BlockIcon,
+  SwapHoriz as SwapIcon,
+  Devices as DevicesIcon,
+  Lock as LockIcon,
+  DoneAll as DoneAllIcon,
+  OpenInNew as OpenIcon,
+  Download as DownloadIcon,
+  Upload as UploadIcon,
+  RestoreFromTrash as RestoreIcon
 } from '@mui/icons-material';
 import { io } from 'socket.io-client';
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+// What authenticateToken answers for an expired (403) or revoked (401) access
+// token; other 401/403s are real refusals and must not trigger a refresh
+const SESSION_EXPIRED_ERRORS = ['Invalid token', 'Session revoked'];
+
+const MEMBER_ROLES = ['maintainer', 'editor', 'viewer'];
+const PROJECT_STATUSES = ['planning', 'development', 'testing', 'deployed'];
+const PROJECT_TECHNOLOGIES = ['React', 'Node.js', 'Python', 'Docker', 'AWS', 'Security'];
+const DEFAULT_PROJECT_FILTERS = { search: '', status: [], technology: [], sort: 'updatedAt' };
+
+// Query string for the project filters; shared by the list and export
+const projectFilterParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.search.trim()) params.set('search', filters.search.trim());
+  filters.status.forEach((status) => params.append('status', status));
+  filters.technology.forEach((technology) => params.append('technology', technology));
+  return params;
+};
+
+// Fields the edit dialog sends; compared when an update hits a version conflict
+const PROJECT_EDIT_FIELDS = ['name', 'description', 'technology'];
+const changedProjectFields = (a, b) => PROJECT_EDIT_FIELDS.filter((field) => (a[field] || '') !== (b[field] || ''));
+
+// Mirrors the server rule: maintainers manage editors and viewers only
+const canManageRole = (actorRole, role) => actorRole === 'owner' || role !== 'maintainer';
+
+// Turns a VALIDATION_ERROR response into { field: message } for form inputs
+const fieldErrors = (error) => (error.details || []).reduce((errors, detail) => ({
+  ...errors,
+  [detail.field]: errors[detail.field] || detail.message
+}), {});
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const TASK_COLUMNS = [
+  { value: 'todo', label: 'To do' },
+  { value: 'in-progress', label: 'In progress' },
+  { value: 'review', label: 'Review' },
+  { value: 'done', label: 'Done' }
+];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const EMPTY_TASK_FORM = { title: '', description: '', assignee: '', priority: 'medium', dueDate: '', column: 'todo' };
+
+const getPriorityColor = (priority) => ({
+  low: 'default',
+  medium: 'info',
+  high: 'warning',
+  urgent: 'error'
+}[priority] || 'default');
+
+// Applies { column: [ids in order] } to the board, optionally swapping in the moved task
+const applyTaskOrder = (tasks, order, moved) => tasks.map((task) => {
+  const current = moved && task._id === moved._id ? moved : task;
+  for (const [column, ids] of Object.entries(order)) {
+    const position = ids.indexOf(task._id);
+    if (position !== -1) return { ...current, column, position };
+  }
+  return current;
+});
+
+// Minimal markdown for comments: fenced code, bullet lists, paragraphs and
+// inline code/bold/italic/links/@mentions. Builds React elements rather than
+// HTML so comment text can never inject markup. Mentions need the same left
+// boundary as MENTION_PATTERN on the server, so bob@example.com isn't one.
+const INLINE_MARKDOWN = /(`[^`\n]+`)|(\*\*[^*\n]+\*\*)|(\*[^*\n]+\*|_[^_\n]+_)|(\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\))|(^|[^\w@])(@[a-zA-Z0-9_.-]{2,29}[a-zA-Z0-9_])/g;
+
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_MARKDOWN)) {
+    const [token] = match;
+    const key = `${keyPrefix}-${match.index}`;
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+
+    if (match[1]) {
+      nodes.push(<code key={key}>{token.slice(1, -1)}</code>);
+    } else if (match[2]) {
+      nodes.push(<strong key={key}>{token.slice(2, -2)}</strong>);
+    } else if (match[3]) {
+      nodes.push(<em key={key}>{token.slice(1, -1)}</em>);
+    } else if (match[4]) {
+      nodes.push(<a key={key} href={match[6]} target="_blank" rel="noopener noreferrer">{match[5]}</a>);
+    } else {
+      // match[7] is the character before the @, which isn't part of the mention
+      if (match[7]) nodes.push(match[7]);
+      nodes.push(<Box key={key} component="span" sx={{ color: 'primary.main', fontWeight: 'bold' }}>{match[8]}</Box>);
+    }
+    last = match.index + token.length;
+  }
+
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+const renderMarkdown = (text) => text.split('```').flatMap((part, partIndex) => {
+  if (partIndex % 2 === 1) {
+    return [
+      <Box key={`code-${partIndex}`} component="pre" sx={{ bgcolor: 'grey.100', p: 1, overflowX: 'auto', my: 1 }}>
+        <code>{part.replace(/^[a-z]*\n/, '')}</code>
+      </Box>
+    ];
+  }
+
+  return part.split(/\n{2,}/).filter((block) => block.trim()).map((block, blockIndex) => {
+    const key = `${partIndex}-${blockIndex}`;
+    const lines = block.trim().split('\n');
+
+    if (lines.every((line) => /^\s*[-*] /.test(line))) {
+      return (
+        <ul key={key} style={{ margin: '4px 0', paddingLeft: 20 }}>
+          {lines.map((line, lineIndex) => (
+            <li key={lineIndex}>{renderInline(line.replace(/^\s*[-*] /, ''), `${key}-${lineIndex}`)}</li>
+          ))}
+        </ul>
+      );
+    }
+
+    return (
+      <Typography key={key} variant="body2" sx={{ my: 0.5 }}>
+        {lines.flatMap((line, lineIndex) => [
+          ...(lineIndex > 0 ? [<br key={`${key}-br-${lineIndex}`} />] : []),
+          ...renderInline(line, `${key}-${lineIndex}`)
+        ])}
+      </Typography>
+    );
+  });
+});
+
+const ACTIVITY_LABELS = {
+  'project.created': 'created the project',
+  'project.updated': 'updated the project',
+  'project.deleted': 'moved the project to the trash',
+  'project.restored': 'restored the project from the trash',
+  'status.changed': 'changed the status',
+  'member.invited': 'invited a member',
+  'member.joined': 'joined the project',
+  'member.role-changed': 'changed a member role',
+  'member.removed': 'removed a member',
+  'invitation.declined': 'declined an invitation',
+  'invitation.cancelled': 'cancelled an invitation',
+  'ownership.transferred': 'transferred ownership',
+  'task.created': 'created task',
+  'task.updated': 'updated task',
+  'task.moved': 'moved task',
+  'task.deleted': 'deleted task',
+  'attachment.added': 'attached',
+  'attachment.removed': 'removed attachment'
+};
+
+// One line per activity entry, e.g. "alice changed the status: development → testing"
+const describeActivity = (entry) => {
+  const actor = entry.actor?.username || 'Someone';
+  const label = ACTIVITY_LABELS[entry.action] || entry.action;
+  const subject = entry.details?.username || entry.details?.title
+    ? ` ${entry.details.username || `"${entry.details.title}"`}`
+    : '';
+  const changes = (entry.changes || [])
+    .filter((change) => change.field !== 'owner')
+    .map((change) => `${change.field}: ${change.from || '—'} → ${change.to || '—'}`)
+    .join(', ');
+  return `${actor} ${label}${subject}${changes ? ` (${changes})` : ''}`;
+};
+
+const CHART_COLORS = ['#1976d2', '#2e7d32', '#ed6c02', '#9c27b0', '#d32f2f'];
+const DEFAULT_ANALYTICS_RANGE = { from: '', to: '', bucket: 'week' };
+
+const formatBucket = (date, bucket) => new Date(date).toLocaleDateString(
+  undefined,
+  bucket === 'month' ? { month: 'short', year: 'numeric', timeZone: 'UTC' } : { month: 'short', day: 'numeric', timeZone: 'UTC' }
+);
+
+// Grouped bar chart in plain SVG, one group per bucket. Null values (no data)
+// draw nothing; hovering a bar shows its value.
+const BarChart = ({ labels, series, unit = '', height = 160 }) => {
+  const barWidth = 10;
+  const groupWidth = series.length * barWidth + 8;
+  const width = Math.max(labels.length, 1) * groupWidth;
+  const max = Math.max(1, ...series.flatMap((item) => item.values.map((value) => value || 0)));
+
+  return (
+    <Box>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%" height={height} preserveAspectRatio="none">
+        <line x1="0" y1={height - 0.5} x2={width} y2={height - 0.5} stroke="#bdbdbd" />
+        {labels.map((label, index) => series.map((item, seriesIndex) => {
+          const value = item.values[index];
+          if (!value) return null;
+          const barHeight = (value / max) * (height - 4);
+          return (
+            <rect
+              key={`${label}-${item.label}`}
+              x={index * groupWidth + 4 + seriesIndex * barWidth}
+              y={height - barHeight}
+              width={barWidth - 2}
+              height={barHeight}
+              fill={item.color}
+            >
+              <title>{`${item.label} • ${label}: ${value}${unit}`}</title>
+            </rect>
+          );
+        }))}
+      </svg>
+      <Box display="flex" justifyContent="space-between">
+        <Typography variant="caption" color="textSecondary">{labels[0]}</Typography>
+        <Typography variant="caption" color="textSecondary">{labels[labels.length - 1]}</Typography>
+      </Box>
+      <Box display="flex" flexWrap="wrap" gap={2} mt={1}>
+        {series.map((item) => (
+          <Box key={item.label} display="flex" alignItems="center">
+            <Box sx={{ width: 12, height: 12, bgcolor: item.color, mr: 0.5, borderRadius: 0.5 }} />
+            <Typography variant="caption">{item.label}</Typography>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+// Refresh tokens rotate on every use, so concurrent requests that hit an
+// expired access token must share a single refresh call.
+let pendingRefresh = null;
+
+const refreshSession = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('Session expired');
+      }
+
+      const response = await fetch(`${API_BASE}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (!response.ok) {
+        throw new Error('Session expired, please log in again');
+      }
+
+      const result = await response.json();
+      localStorage.setItem('token', result.token);
+      localStorage.setItem('refreshToken', result.refreshToken);
+      return result.token;
+    })().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+
+  return pendingRefresh;
+};
 
 function App() {
   const [user, setUser] = useState(null);
   const [projects, setProjects] = useState([]);
+  const [projectFilters, setProjectFilters] = useState(DEFAULT_PROJECT_FILTERS);
+  const [projectPage, setProjectPage] = useState({ total: 0, nextCursor: null, hasMore: false });
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Socket handlers and the scroll observer outlive renders, so they read current state from here
+  const projectFiltersRef = useRef(DEFAULT_PROJECT_FILTERS);
+  const projectsRef = useRef([]);
+  projectsRef.current = projects;
+  const openProjectRef = useRef(null);
+  const loadMoreRef = useRef(null);
   const [analytics, setAnalytics] = useState({});
   const [loading, setLoading] = useState(false);
   const [openDialog, setOpenDialog] = useState(false);
   const [editingProject, setEditingProject] = useState(null);
+  const [projectErrors, setProjectErrors] = useState({});
+  const [authErrors, setAuthErrors] = useState({});
   const [notification, setNotification] = useState({ open: false, message: '', severity: 'success' });
   const [socket, setSocket] = useState(null);
   const [loginForm, setLoginForm] = useState({ email: '', password: '' });
   const [registerForm, setRegisterForm] = useState({ username: '', email: '', password: '' });
   const [isLoginMode, setIsLoginMode] = useState(true);
   const [notifications, setNotifications] = useState([]);
+  const [openProject, setOpenProject] = useState(null);
+  openProjectRef.current = openProject;
+  const [projectTab, setProjectTab] = useState('board');
+  const [tasks, setTasks] = useState([]);
+  const [taskDialog, setTaskDialog] = useState(null);
+  const [taskForm, setTaskForm] = useState(EMPTY_TASK_FORM);
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [attachments, setAttachments] = useState({ attachments: [], usage: null });
+  const [uploading, setUploading] = useState(false);
+  const [commentForm, setCommentForm] = useState({ body: '', parentId: null });
+  const [editingComment, setEditingComment] = useState(null);
+  const [activity, setActivity] = useState({ activity: [], total: 0, page: 1, pages: 0 });
+  const [adminActivity, setAdminActivity] = useState({ activity: [], total: 0 });
+  const [adminActivityActor, setAdminActivityActor] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notificationsAnchor, setNotificationsAnchor] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [membersProject, setMembersProject] = useState(null);
+  const [members, setMembers] = useState({ owner: null, collaborators: [], invitations: [], permissions: [] });
+  const [inviteForm, setInviteForm] = useState({ identifier: '', role: 'editor' });
+  const [view, setView] = useState('projects');
+  const [analyticsRange, setAnalyticsRange] = useState(DEFAULT_ANALYTICS_RANGE);
+  const [timeSeries, setTimeSeries] = useState(null);
+  const [adminTab, setAdminTab] = useState('users');
+  const [adminSearch, setAdminSearch] = useState('');
+  const [adminStats, setAdminStats] = useState({});
+  const [adminUsers, setAdminUsers] = useState({ users: [], total: 0 });
+  const [adminProjects, setAdminProjects] = useState({ projects: [], total: 0 });
+  const [securityEvents, setSecurityEvents] = useState({ events: [], total: 0 });
+  const [sessionsOpen, setSessionsOpen] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [authView, setAuthView] = useState('credentials');
+  const [recoveryForm, setRecoveryForm] = useState({ email: '', password: '', token: '' });
+  const [unverifiedEmail, setUnverifiedEmail] = useState('');
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ code: '', recoveryCode: '', useRecoveryCode: false });
+  const [twoFactorOpen, setTwoFactorOpen] = useState(false);
+  const [twoFactorStatus, setTwoFactorStatus] = useState({ enabled: false, recoveryCodesRemaining: 0 });
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [twoFactorManageForm, setTwoFactorManageForm] = useState({ code: '', password: '' });
 
   const [projectForm, setProjectForm] = useState({
     name: '',
     description: '',
-    technology: '',
-    status: 'planning'
+    technology: ''
   });
+  const [statusWorkflow, setStatusWorkflow] = useState({ statuses: PROJECT_STATUSES, transitions: {} });
+  const [statusProject, setStatusProject] = useState(null);
+  const [projectImport, setProjectImport] = useState(null);
+  const [projectConflict, setProjectConflict] = useState(null);
+  const [trash, setTrash] = useState({ projects: [], retentionDays: null });
+  const [importing, setImporting] = useState(false);
+  const [statusForm, setStatusForm] = useState({ status: '', reason: '', override: false });
+  const [expandedTimelines, setExpandedTimelines] = useState({});
+  const [projectViewers, setProjectViewers] = useState([]);
 
   // Initialize socket connection
   useEffect(() => {
     if (user) {
+      // Read the token on every (re)connect, since it is refreshed over time
+      // WebSocket only: HTTP long-polling would need sticky sessions once the
+      // backend runs as several containers
       const newSocket = io(API_BASE, {
-        auth: { token: localStorage.getItem('token') }
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
+        transports: ['websocket']
       });
 
       newSocket.on('connect', () => {
         console.log('🔗 Connected to WebSocket');
+        // Rooms don't survive a reconnect (possibly to another container)
+        if (openProjectRef.current) {
+          newSocket.emit('join-project', openProjectRef.current._id);
+        }
       });
 
-      newSocket.on('project-updated', (data) => {
-        setNotification({
-          open: true,
-          message: `Project "${data.name}" was updated!`,
-          severity: 'info'
-        });
+      newSocket.on('connect_error', async (error) => {
+        if (error.message !== 'Authentication error') return;
+
+        try {
+          await refreshSession();
+          newSocket.connect();
+        } catch (refreshError) {
+          console.error('WebSocket authentication failed:', refreshError);
+        }
+      });
+
+      // Project events come from the server after a successful write and carry
+      // the stored project, with permissions already resolved for this user
+      const announce = (actor, message) => {
+        if (actor?.id === user.id) return;
+        setNotification({ open: true, message: `${message} by ${actor?.username || 'someone'}`, severity: 'info' });
+      };
+
+      newSocket.on('projects-imported', () => {
+        fetchProjects();
+        fetchAnalytics();
+      });
+
+      newSocket.on('project-created', ({ project, actor }) => {
+        announce(actor, `Project "${project.name}" was created`);
+        fetchProjects();
+        fetchAnalytics();
+      });
+
+      newSocket.on('project-updated', ({ project, actor }) => {
+        announce(actor, `Project "${project.name}" was updated`);
+        if (openProjectRef.current?._id === project._id) {
+          setOpenProject(project);
+        }
+        if (projectsRef.current.some((existing) => existing._id === project._id)) {
+          setProjects((prev) => prev.map((existing) => (existing._id === project._id ? project : existing)));
+        } else {
+          // Not on screen yet, e.g. an invitation was just accepted
+          fetchProjects();
+        }
+        fetchAnalytics();
+      });
+
+      newSocket.on('project-restored', ({ project, actor }) => {
+        announce(actor, `Project "${project.name}" was restored`);
         fetchProjects();
+        fetchAnalytics();
+      });
+
+      newSocket.on('project-deleted', ({ projectId, name, actor }) => {
+        announce(actor, `Project "${name}" was removed`);
+        if (openProjectRef.current?._id === projectId) {
+          setOpenProject(null);
+        }
+        setProjects((prev) => prev.filter((project) => project._id !== projectId));
+        setProjectPage((prev) => ({ ...prev, total: Math.max(prev.total - 1, 0) }));
+        fetchAnalytics();
+      });
+
+      // Only arrives for project rooms this socket joined, i.e. the open project
+      newSocket.on('activity', (entry) => {
+        if (openProjectRef.current?._id !== entry.project) return;
+        setActivity((prev) => ({ ...prev, activity: [entry, ...prev.activity], total: prev.total + 1 }));
+      });
+
+      const isOpenProject = (projectId) => openProjectRef.current?._id === projectId;
+
+      newSocket.on('task-created', (task) => {
+        if (!isOpenProject(task.project)) return;
+        setTasks((prev) => (prev.some((existing) => existing._id === task._id) ? prev : [...prev, task]));
+      });
+
+      newSocket.on('task-updated', (task) => {
+        if (!isOpenProject(task.project)) return;
+        setTasks((prev) => prev.map((existing) => (existing._id === task._id ? task : existing)));
+      });
+
+      newSocket.on('tasks-reordered', ({ task, order }) => {
+        if (!isOpenProject(task.project)) return;
+        setTasks((prev) => applyTaskOrder(prev, order, task));
+      });
+
+      newSocket.on('task-deleted', ({ _id: taskId, project }) => {
+        if (!isOpenProject(project)) return;
+        setTasks((prev) => prev.filter((task) => task._id !== taskId));
+      });
+
+      newSocket.on('comment-created', (comment) => {
+        if (!isOpenProject(comment.project)) return;
+        setComments((prev) => (prev.some((existing) => existing._id === comment._id) ? prev : [...prev, comment]));
+      });
+
+      newSocket.on('comment-updated', (comment) => {
+        if (!isOpenProject(comment.project)) return;
+        setComments((prev) => prev.map((existing) => (existing._id === comment._id ? comment : existing)));
+      });
+
+      newSocket.on('comment-deleted', ({ _id: commentId, project }) => {
+        if (!isOpenProject(project)) return;
+        setComments((prev) => prev.filter((comment) => comment._id !== commentId));
+      });
+
+      newSocket.on('attachment-created', (attachment) => {
+        if (!isOpenProject(attachment.project)) return;
+        setAttachments((prev) => (prev.attachments.some((existing) => existing._id === attachment._id)
+          ? prev
+          : {
+              attachments: [attachment, ...prev.attachments],
+              usage: prev.usage && { ...prev.usage, used: prev.usage.used + attachment.size }
+            }));
+      });
+
+      newSocket.on('attachment-deleted', ({ _id: attachmentId, project }) => {
+        if (!isOpenProject(project)) return;
+        setAttachments((prev) => {
+          const removed = prev.attachments.find((attachment) => attachment._id === attachmentId);
+          if (!removed) return prev;
+          return {
+            attachments: prev.attachments.filter((attachment) => attachment._id !== attachmentId),
+            usage: prev.usage && { ...prev.usage, used: prev.usage.used - removed.size }
+          };
+        });
+      });
+
+      newSocket.on('presence', ({ projectId, users }) => {
+        if (isOpenProject(projectId)) setProjectViewers(users);
       });
 
       newSocket.on('notification', (data) => {
-        setNotifications(prev => [...prev, data]);
+        setNotifications(prev => [data, ...prev]);
+        setUnreadCount(prev => prev + 1);
+        if (data.type === 'invitation') {
+          fetchInvitations();
+        }
       });
 
       setSocket(newSocket);
@@ -106,6 +580,72 @@ function App() {
     }
   }, [user]);
 
+  // Refetch from the first page when filters change; typing in search is debounced
+  useEffect(() => {
+    projectFiltersRef.current = projectFilters;
+    if (!user) return;
+
+    const timer = setTimeout(() => fetchProjects(), 300);
+    return () => clearTimeout(timer);
+  }, [projectFilters]);
+
+  useEffect(() => {
+    if (view === 'analytics') fetchTimeSeries(analyticsRange);
+  }, [view, analyticsRange]);
+
+  // Infinite scroll: load the next page when the sentinel below the grid comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !projectPage.hasMore || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        observer.disconnect();
+        fetchProjects(projectPage.nextCursor);
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [projectPage, loadingMore, view]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    apiCall('/api/projects/workflow')
+      .then(setStatusWorkflow)
+      .catch((error) => console.error('Failed to fetch status workflow:', error));
+    fetchNotifications();
+  }, [user]);
+
+  // Pick up emailed links (?verifyToken=... / ?resetToken=...)
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verifyToken');
+    const resetToken = params.get('resetToken');
+    const unlockToken = params.get('unlockToken');
+
+    if (!verifyToken && !resetToken && !unlockToken) return;
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    if (resetToken) {
+      setRecoveryForm({ email: '', password: '', token: resetToken });
+      setAuthView('reset');
+    }
+
+    const linkEndpoint = verifyToken ? '/api/auth/verify-email' : '/api/auth/unlock';
+    const linkToken = verifyToken || unlockToken;
+
+    if (linkToken) {
+      apiCall(linkEndpoint, {
+        method: 'POST',
+        body: JSON.stringify({ token: linkToken })
+      })
+        .then((result) => setNotification({ open: true, message: result.message, severity: 'success' }))
+        .catch((error) => setNotification({ open: true, message: error.message, severity: 'error' }));
+    }
+  }, []);
+
   // Check for existing token on app load
   useEffect(() => {
     const token = localStorage.getItem('token');
@@ -115,32 +655,55 @@ function App() {
       setUser(JSON.parse(userData));
       fetchProjects();
       fetchAnalytics();
+      fetchInvitations();
     }
   }, []);
 
-  const apiCall = async (endpoint, options = {}) => {
+  // options.raw returns the Response itself (for file downloads); FormData
+  // bodies are sent as multipart with the browser's boundary
+  const apiCall = async (endpoint, options = {}, retry = true) => {
     const token = localStorage.getItem('token');
+    const { raw, headers, ...fetchOptions } = options;
     const config = {
       headers: {
-        'Content-Type': 'application/json',
-        ...(token && { Authorization: `Bearer ${token}` })
+        ...(!(fetchOptions.body instanceof FormData) && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
       },
-      ...options
+      ...fetchOptions
     };
 
     const response = await fetch(`${API_BASE}${endpoint}`, config);
     
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.error || 'API call failed');
+
+      // Expired or revoked access token: refresh once and replay the call
+      if (SESSION_EXPIRED_ERRORS.includes(error.error) && retry && token) {
+        try {
+          await refreshSession();
+        } catch (refreshError) {
+          clearSession();
+          throw refreshError;
+        }
+        return apiCall(endpoint, options, false);
+      }
+
+      const apiError = new Error(error.error || 'API call failed');
+      apiError.code = error.code;
+      apiError.status = response.status;
+      apiError.details = error.details;
+      apiError.current = error.current;
+      throw apiError;
     }
 
-    return response.json();
+    return raw ? response : response.json();
   };
 
   const handleAuth = async (isLogin) => {
     try {
       setLoading(true);
+      setAuthErrors({});
       const endpoint = isLogin ? '/api/auth/login' : '/api/auth/register';
       const data = isLogin ? loginForm : registerForm;
 
@@ -148,10 +711,27 @@ function App() {
         method: 'POST',
         body: JSON.stringify(data)
       });
+      setUnverifiedEmail('');
 
-      localStorage.setItem('token', result.token);
-      localStorage.setItem('user', JSON.stringify(result.user));
-      setUser(result.user);
+      if (result.twoFactorRequired) {
+        setTwoFactorChallenge(result.challengeToken);
+        setTwoFactorForm({ code: '', recoveryCode: '', useRecoveryCode: false });
+        return;
+      }
+
+      // Registration may require confirming the email before the first login
+      if (!result.token) {
+        setNotification({
+          open: true,
+          message: result.message,
+          severity: 'info'
+        });
+        setIsLoginMode(true);
+        setRegisterForm({ username: '', email: '', password: '' });
+        return;
+      }
+
+      startSession(result);
 
       setNotification({
         open: true,
@@ -166,7 +746,78 @@ function App() {
         setLoginForm({ email: '', password: '' });
         fetchProjects();
         fetchAnalytics();
+        fetchInvitations();
       }
+    } catch (error) {
+      if (error.code === 'EMAIL_NOT_VERIFIED') {
+        setUnverifiedEmail(loginForm.email);
+      }
+      setAuthErrors(fieldErrors(error));
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startSession = (result) => {
+    localStorage.setItem('token', result.token);
+    localStorage.setItem('refreshToken', result.refreshToken);
+    localStorage.setItem('user', JSON.stringify(result.user));
+    setUser(result.user);
+  };
+
+  const handleVerifyTwoFactor = async () => {
+    try {
+      setLoading(true);
+      const result = await apiCall('/api/auth/2fa/verify', {
+        method: 'POST',
+        body: JSON.stringify({
+          challengeToken: twoFactorChallenge,
+          ...(twoFactorForm.useRecoveryCode
+            ? { recoveryCode: twoFactorForm.recoveryCode }
+            : { code: twoFactorForm.code })
+        })
+      });
+
+      startSession(result);
+      setTwoFactorChallenge(null);
+      setLoginForm({ email: '', password: '' });
+      setNotification({
+        open: true,
+        message: 'Login successful!',
+        severity: 'success'
+      });
+      fetchProjects();
+      fetchAnalytics();
+      fetchInvitations();
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRecoveryRequest = async (endpoint, body, onSuccess) => {
+    try {
+      setLoading(true);
+      const result = await apiCall(endpoint, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      setNotification({
+        open: true,
+        message: result.message,
+        severity: 'success'
+      });
+      if (onSuccess) onSuccess();
     } catch (error) {
       setNotification({
         open: true,
@@ -178,104 +829,107 @@ function App() {
     }
   };
 
-  const handleLogout = () => {
+  const handleForgotPassword = () => handleRecoveryRequest(
+    '/api/auth/forgot-password',
+    { email: recoveryForm.email },
+    () => setAuthView('credentials')
+  );
+
+  const handleResetPassword = () => handleRecoveryRequest(
+    '/api/auth/reset-password',
+    { token: recoveryForm.token, password: recoveryForm.password },
+    () => {
+      setRecoveryForm({ email: '', password: '', token: '' });
+      setAuthView('credentials');
+    }
+  );
+
+  const handleResendVerification = () => handleRecoveryRequest(
+    '/api/auth/resend-verification',
+    { email: unverifiedEmail },
+    () => setUnverifiedEmail('')
+  );
+
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setUser(null);
     setProjects([]);
+    setProjectPage({ total: 0, nextCursor: null, hasMore: false });
+    setProjectFilters(DEFAULT_PROJECT_FILTERS);
     setAnalytics({});
+    setInvitations([]);
+    setNotifications([]);
+    setUnreadCount(0);
+    setOpenProject(null);
+    setView('projects');
+    setSessionsOpen(false);
     if (socket) {
       socket.close();
     }
   };
 
-  const fetchProjects = async () => {
+  const handleLogout = async () => {
     try {
-      const data = await apiCall('/api/projects');
-      setProjects(data);
+      await apiCall('/api/auth/logout', { method: 'POST' });
     } catch (error) {
-      setNotification({
-        open: true,
-        message: 'Failed to fetch projects',
-        severity: 'error'
-      });
+      console.error('Failed to revoke session:', error);
+    } finally {
+      clearSession();
     }
   };
 
-  const fetchAnalytics = async () => {
+  const fetchSessions = async () => {
     try {
-      const data = await apiCall('/api/analytics/stats');
-      setAnalytics(data);
+      const data = await apiCall('/api/auth/sessions');
+      setSessions(data);
     } catch (error) {
-      console.error('Failed to fetch analytics:', error);
+      setNotification({
+        open: true,
+        message: 'Failed to fetch sessions',
+        severity: 'error'
+      });
     }
   };
 
-  const handleCreateProject = async () => {
-    try {
-      setLoading(true);
-      const endpoint = editingProject ? `/api/projects/${editingProject._id}` : '/api/projects';
-      const method = editingProject ? 'PUT' : 'POST';
+  const handleOpenSessions = () => {
+    setSessionsOpen(true);
+    fetchSessions();
+  };
 
-      await apiCall(endpoint, {
-        method,
-        body: JSON.stringify(projectForm)
-      });
+  const handleRevokeSession = async (session) => {
+    if (session.current) {
+      handleLogout();
+      return;
+    }
 
+    try {
+      await apiCall(`/api/auth/sessions/${session._id}`, { method: 'DELETE' });
       setNotification({
         open: true,
-        message: `Project ${editingProject ? 'updated' : 'created'} successfully!`,
+        message: 'Session revoked',
         severity: 'success'
       });
-
-      setOpenDialog(false);
-      setProjectForm({ name: '', description: '', technology: '', status: 'planning' });
-      setEditingProject(null);
-      fetchProjects();
-      fetchAnalytics();
-
-      // Notify other users via WebSocket
-      if (socket) {
-        socket.emit('project-update', {
-          projectId: editingProject?._id,
-          name: projectForm.name,
-          action: editingProject ? 'updated' : 'created'
-        });
-      }
+      fetchSessions();
     } catch (error) {
       setNotification({
         open: true,
         message: error.message,
         severity: 'error'
       });
-    } finally {
-      setLoading(false);
     }
   };
 
-  const handleEditProject = (project) => {
-    setEditingProject(project);
-    setProjectForm({
-      name: project.name,
-      description: project.description || '',
-      technology: project.technology,
-      status: project.status
-    });
-    setOpenDialog(true);
-  };
-
-  const handleDeleteProject = async (projectId) => {
-    if (!window.confirm('Are you sure you want to delete this project?')) return;
-
+  const handleRevokeOtherSessions = async () => {
     try {
-      await apiCall(`/api/projects/${projectId}`, { method: 'DELETE' });
+      await apiCall('/api/auth/sessions', { method: 'DELETE' });
       setNotification({
         open: true,
-        message: 'Project deleted successfully!',
+        message: 'Signed out of all other devices',
         severity: 'success'
       });
-      fetchProjects();
-      fetchAnalytics();
+      fetchSessions();
     } catch (error) {
       setNotification({
         open: true,
@@ -285,20 +939,934 @@ function App() {
     }
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      planning: 'default',
-      development: 'primary',
-      testing: 'warning',
-      deployed: 'success'
-    };
-    return colors[status] || 'default';
+  // Without a cursor this reloads the first page; with one it appends the next page
+  const fetchProjects = async (cursor = null) => {
+    const filters = projectFiltersRef.current;
+    const params = projectFilterParams(filters);
+    params.set('sort', filters.sort);
+    params.set('limit', '12');
+    if (cursor) params.set('cursor', cursor);
+
+    try {
+      setLoadingMore(Boolean(cursor));
+      const data = await apiCall(`/api/projects?${params}`);
+      setProjects((prev) => (cursor ? [...prev, ...data.projects] : data.projects));
+      setProjectPage({ total: data.total, nextCursor: data.nextCursor, hasMore: data.hasMore });
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: 'Failed to fetch projects',
+        severity: 'error'
+      });
+    } finally {
+      setLoadingMore(false);
+    }
   };
 
-  const getTechnologyIcon = (tech) => {
-    const icons = {
-      'React': <CodeIcon />,
-      'Node.js': <CodeIcon />,
+  // Exports what the current filters show, as a file download
+  const handleExportProjects = async (format) => {
+    const params = projectFilterParams(projectFilters);
+    params.set('format', format);
+
+    try {
+      const response = await apiCall(`/api/projects/export?${params}`, { raw: true });
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `projects-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  // Imports are checked with a dry run first; the dialog shows the report and
+  // only offers to import when every row is valid
+  const runProjectImport = (payload, dryRun) => apiCall(`/api/projects/import?dryRun=${dryRun}`, {
+    method: 'POST',
+    body: JSON.stringify(payload)
+  });
+
+  const handleImportFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setImporting(true);
+      const text = await file.text();
+      let payload = { csv: text };
+      if (file.name.toLowerCase().endsWith('.json')) {
+        const parsed = JSON.parse(text);
+        payload = { projects: Array.isArray(parsed) ? parsed : parsed.projects };
+      }
+      const report = await runProjectImport(payload, true);
+      setProjectImport({ fileName: file.name, payload, report });
+    } catch (error) {
+      const message = error instanceof SyntaxError ? `${file.name} is not valid JSON` : error.message;
+      setNotification({ open: true, message, severity: 'error' });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    try {
+      setImporting(true);
+      const result = await runProjectImport(projectImport.payload, false);
+      setProjectImport(null);
+      fetchProjects();
+      fetchAnalytics();
+      setNotification({ open: true, message: `Imported ${result.imported} projects`, severity: 'success' });
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const fetchAnalytics = async () => {
+    try {
+      const data = await apiCall('/api/analytics/stats');
+      setAnalytics(data);
+    } catch (error) {
+      console.error('Failed to fetch analytics:', error);
+    }
+  };
+
+  const fetchTimeSeries = async (range) => {
+    const params = new URLSearchParams({ bucket: range.bucket });
+    if (range.from) params.set('from', range.from);
+    // The picked "to" day counts in full
+    if (range.to) params.set('to', `${range.to}T23:59:59.999Z`);
+
+    try {
+      const [projectsOverTime, statusDurations, leadTime, throughput] = await Promise.all([
+        apiCall(`/api/analytics/projects-over-time?${params}`),
+        apiCall(`/api/analytics/status-durations?${params}`),
+        apiCall(`/api/analytics/lead-time?${params}`),
+        apiCall(`/api/analytics/member-throughput?${params}`)
+      ]);
+      setTimeSeries({ projectsOverTime, statusDurations, leadTime, throughput });
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      const data = await apiCall('/api/notifications?limit=20');
+      setNotifications(data.notifications);
+      setUnreadCount(data.unread);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    }
+  };
+
+  const handleReadNotification = async (notification) => {
+    if (notification.readAt) return;
+
+    try {
+      const updated = await apiCall(`/api/notifications/${notification._id}/read`, { method: 'POST' });
+      setNotifications((prev) => prev.map((item) => (item._id === updated._id ? { ...item, readAt: updated.readAt } : item)));
+      setUnreadCount((prev) => Math.max(prev - 1, 0));
+    } catch (error) {
+      console.error('Failed to mark notification read:', error);
+    }
+  };
+
+  const handleReadAllNotifications = async () => {
+    try {
+      await apiCall('/api/notifications/read-all', { method: 'POST' });
+      const now = new Date().toISOString();
+      setNotifications((prev) => prev.map((item) => ({ ...item, readAt: item.readAt || now })));
+      setUnreadCount(0);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handleDeleteNotification = async (notification) => {
+    try {
+      await apiCall(`/api/notifications/${notification._id}`, { method: 'DELETE' });
+      setNotifications((prev) => prev.filter((item) => item._id !== notification._id));
+      if (!notification.readAt) {
+        setUnreadCount((prev) => Math.max(prev - 1, 0));
+      }
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const fetchInvitations = async () => {
+    try {
+      const data = await apiCall('/api/invitations');
+      setInvitations(data);
+    } catch (error) {
+      console.error('Failed to fetch invitations:', error);
+    }
+  };
+
+  const handleRespondInvitation = async (invitationId, response) => {
+    try {
+      await apiCall(`/api/invitations/${invitationId}/${response}`, { method: 'POST' });
+      setNotification({
+        open: true,
+        message: `Invitation ${response === 'accept' ? 'accepted' : 'declined'}`,
+        severity: 'success'
+      });
+      fetchInvitations();
+      if (response === 'accept') {
+        fetchProjects();
+        fetchAnalytics();
+      }
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const fetchMembers = async (projectId) => {
+    try {
+      const data = await apiCall(`/api/projects/${projectId}/members`);
+      setMembers(data);
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: 'Failed to fetch members',
+        severity: 'error'
+      });
+    }
+  };
+
+  const fetchActivity = async (projectId, page = 1) => {
+    try {
+      const data = await apiCall(`/api/projects/${projectId}/activity?page=${page}&limit=20`);
+      setActivity((prev) => (page === 1 ? data : { ...data, activity: [...prev.activity, ...data.activity] }));
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const fetchTasks = async (projectId) => {
+    try {
+      const data = await apiCall(`/api/projects/${projectId}/tasks`);
+      setTasks(data.tasks);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handleOpenTask = (task, column = 'todo') => {
+    setTaskDialog(task || { column });
+    setTaskForm(task
+      ? {
+          title: task.title,
+          description: task.description || '',
+          assignee: task.assignee?._id || '',
+          priority: task.priority,
+          dueDate: task.dueDate ? task.dueDate.slice(0, 10) : '',
+          column: task.column
+        }
+      : { ...EMPTY_TASK_FORM, column });
+  };
+
+  const handleSaveTask = async () => {
+    const { column, ...fields } = taskForm;
+    const body = {
+      ...fields,
+      assignee: fields.assignee || null,
+      dueDate: fields.dueDate || null
+    };
+
+    try {
+      setLoading(true);
+      if (taskDialog._id) {
+        const task = await apiCall(`/api/projects/${openProject._id}/tasks/${taskDialog._id}`, {
+          method: 'PATCH',
+          body: JSON.stringify(body)
+        });
+        setTasks((prev) => prev.map((existing) => (existing._id === task._id ? task : existing)));
+      } else {
+        const task = await apiCall(`/api/projects/${openProject._id}/tasks`, {
+          method: 'POST',
+          body: JSON.stringify({ ...body, column })
+        });
+        setTasks((prev) => (prev.some((existing) => existing._id === task._id) ? prev : [...prev, task]));
+      }
+      setTaskDialog(null);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteTask = async () => {
+    try {
+      await apiCall(`/api/projects/${openProject._id}/tasks/${taskDialog._id}`, { method: 'DELETE' });
+      setTasks((prev) => prev.filter((task) => task._id !== taskDialog._id));
+      setTaskDialog(null);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const columnTasks = (column) => tasks
+    .filter((task) => task.column === column)
+    .sort((a, b) => a.position - b.position);
+
+  // Drops before the task at `position`, or at the end of the column
+  const handleDropTask = async (column, position) => {
+    const taskId = draggedTaskId;
+    setDraggedTaskId(null);
+    if (!taskId) return;
+
+    // Reorder locally first so the card lands immediately
+    const source = tasks.find((task) => task._id === taskId);
+    const targetIds = columnTasks(column).map((task) => task._id).filter((id) => id !== taskId);
+    targetIds.splice(Math.min(position, targetIds.length), 0, taskId);
+    const order = { [column]: targetIds };
+    if (source.column !== column) {
+      order[source.column] = columnTasks(source.column).map((task) => task._id).filter((id) => id !== taskId);
+    }
+    setTasks((prev) => applyTaskOrder(prev, order));
+
+    try {
+      const result = await apiCall(`/api/projects/${openProject._id}/tasks/${taskId}/move`, {
+        method: 'POST',
+        body: JSON.stringify({ column, position: targetIds.indexOf(taskId) })
+      });
+      setTasks((prev) => applyTaskOrder(prev, result.order, result.task));
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+      fetchTasks(openProject._id);
+    }
+  };
+
+  const fetchComments = async (projectId) => {
+    try {
+      setComments(await apiCall(`/api/projects/${projectId}/comments`));
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handlePostComment = async () => {
+    try {
+      const comment = await apiCall(`/api/projects/${openProject._id}/comments`, {
+        method: 'POST',
+        body: JSON.stringify({
+          body: commentForm.body,
+          ...(commentForm.parentId && { parentId: commentForm.parentId })
+        })
+      });
+      setComments((prev) => (prev.some((existing) => existing._id === comment._id) ? prev : [...prev, comment]));
+      setCommentForm({ body: '', parentId: null });
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handleSaveComment = async () => {
+    try {
+      const comment = await apiCall(`/api/projects/${openProject._id}/comments/${editingComment._id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ body: editingComment.body })
+      });
+      setComments((prev) => prev.map((existing) => (existing._id === comment._id ? comment : existing)));
+      setEditingComment(null);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handleDeleteComment = async (comment) => {
+    try {
+      await apiCall(`/api/projects/${openProject._id}/comments/${comment._id}`, { method: 'DELETE' });
+      // The server keeps deleted comments that have replies as placeholders
+      fetchComments(openProject._id);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const fetchAttachments = async (projectId) => {
+    try {
+      setAttachments(await apiCall(`/api/projects/${projectId}/attachments`));
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handleUploadAttachment = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    const body = new FormData();
+    body.append('file', file);
+
+    try {
+      setUploading(true);
+      await apiCall(`/api/projects/${openProject._id}/attachments`, { method: 'POST', body });
+      fetchAttachments(openProject._id);
+      setNotification({ open: true, message: `Uploaded ${file.name}`, severity: 'success' });
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Downloads go through apiCall for the auth header, then hand the blob to the browser
+  const handleDownloadAttachment = async (attachment) => {
+    try {
+      const response = await apiCall(
+        `/api/projects/${openProject._id}/attachments/${attachment._id}/download`,
+        { raw: true }
+      );
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.originalName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    try {
+      await apiCall(`/api/projects/${openProject._id}/attachments/${attachment._id}`, { method: 'DELETE' });
+      fetchAttachments(openProject._id);
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const renderComments = (parentId = null, depth = 0) => comments
+    .filter((comment) => (comment.parent || null) === parentId)
+    .map((comment) => (
+      <Box key={comment._id} sx={{ ml: depth > 0 ? 3 : 0, mt: 1, pl: depth > 0 ? 2 : 0, borderLeft: depth > 0 ? 2 : 0, borderColor: 'divider' }}>
+        <Typography variant="caption" color="textSecondary">
+          <strong>{comment.deletedAt ? '—' : comment.author?.username}</strong>
+          {' • '}{new Date(comment.createdAt).toLocaleString()}
+          {comment.editedAt && !comment.deletedAt && ' (edited)'}
+        </Typography>
+
+        {comment.deletedAt && (
+          <Typography variant="body2" color="textSecondary" fontStyle="italic">Comment deleted</Typography>
+        )}
+        {!comment.deletedAt && editingComment?._id === comment._id && (
+          <Box>
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              size="small"
+              value={editingComment.body}
+              onChange={(e) => setEditingComment({ ...editingComment, body: e.target.value })}
+            />
+            <Button size="small" onClick={handleSaveComment} disabled={!editingComment.body.trim()}>Save</Button>
+            <Button size="small" onClick={() => setEditingComment(null)}>Cancel</Button>
+          </Box>
+        )}
+        {!comment.deletedAt && editingComment?._id !== comment._id && (
+          <>
+            {renderMarkdown(comment.body)}
+            <Box>
+              <Button size="small" onClick={() => setCommentForm({ ...commentForm, parentId: comment._id })}>
+                Reply
+              </Button>
+              {comment.author?._id === user.id && (
+                <>
+                  <Button size="small" onClick={() => setEditingComment({ _id: comment._id, body: comment.body })}>
+                    Edit
+                  </Button>
+                  <Button size="small" color="error" onClick={() => handleDeleteComment(comment)}>
+                    Delete
+                  </Button>
+                </>
+              )}
+            </Box>
+          </>
+        )}
+
+        {renderComments(comment._id, depth + 1)}
+      </Box>
+    ));
+
+  const handleOpenProject = (project) => {
+    setOpenProject(project);
+    setProjectTab('board');
+    setActivity({ activity: [], total: 0, page: 1, pages: 0 });
+    setTasks([]);
+    setComments([]);
+    setCommentForm({ body: '', parentId: null });
+    setEditingComment(null);
+    setAttachments({ attachments: [], usage: null });
+    setProjectViewers([]);
+    fetchTasks(project._id);
+    fetchComments(project._id);
+    fetchAttachments(project._id);
+    fetchActivity(project._id);
+    if (socket) {
+      socket.emit('join-project', project._id);
+    }
+  };
+
+  const handleCloseProject = () => {
+    if (socket && openProject) {
+      socket.emit('leave-project', openProject._id);
+    }
+    setOpenProject(null);
+  };
+
+  const handleOpenMembers = (project) => {
+    setMembersProject(project);
+    setMembers({
+      owner: project.owner,
+      collaborators: project.collaborators || [],
+      invitations: [],
+      role: project.role,
+      permissions: project.permissions || []
+    });
+    setInviteForm({ identifier: '', role: 'editor' });
+    fetchMembers(project._id);
+  };
+
+  const handleCloseMembers = () => {
+    setMembersProject(null);
+    setInviteForm({ identifier: '', role: 'editor' });
+  };
+
+  const handleMemberAction = async (endpoint, options, successMessage) => {
+    try {
+      await apiCall(endpoint, options);
+      setNotification({
+        open: true,
+        message: successMessage,
+        severity: 'success'
+      });
+      fetchMembers(membersProject._id);
+      fetchProjects();
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleInviteMember = async () => {
+    await handleMemberAction(`/api/projects/${membersProject._id}/invitations`, {
+      method: 'POST',
+      body: JSON.stringify(inviteForm)
+    }, `Invitation sent to ${inviteForm.identifier}`);
+    setInviteForm({ ...inviteForm, identifier: '' });
+  };
+
+  const handleCancelInvitation = (invitationId) => handleMemberAction(
+    `/api/projects/${membersProject._id}/invitations/${invitationId}`,
+    { method: 'DELETE' },
+    'Invitation cancelled'
+  );
+
+  const handleChangeMemberRole = (member, role) => handleMemberAction(
+    `/api/projects/${membersProject._id}/members/${member._id}`,
+    { method: 'PATCH', body: JSON.stringify({ role }) },
+    `${member.username} is now a ${role}`
+  );
+
+  const handleRemoveMember = (member) => {
+    if (!window.confirm(`Remove ${member.username} from this project?`)) return;
+
+    handleMemberAction(
+      `/api/projects/${membersProject._id}/members/${member._id}`,
+      { method: 'DELETE' },
+      `${member.username} was removed from the project`
+    );
+  };
+
+  const handleTransferOwnership = (member) => {
+    if (!window.confirm(`Make ${member.username} the owner of this project?`)) return;
+
+    handleMemberAction(`/api/projects/${membersProject._id}/transfer-ownership`, {
+      method: 'POST',
+      body: JSON.stringify({ userId: member._id })
+    }, `${member.username} is now the project owner`);
+  };
+
+  const fetchAdminData = async () => {
+    try {
+      const search = encodeURIComponent(adminSearch);
+      const [stats, users, adminProjectList, events, activityLog] = await Promise.all([
+        apiCall('/api/admin/stats'),
+        apiCall(`/api/admin/users?search=${search}`),
+        apiCall(`/api/admin/projects?search=${search}`),
+        apiCall('/api/admin/security-events'),
+        apiCall(`/api/admin/activity${adminActivityActor ? `?actor=${adminActivityActor._id}` : ''}`)
+      ]);
+      setAdminStats(stats);
+      setAdminUsers(users);
+      setAdminProjects(adminProjectList);
+      setSecurityEvents(events);
+      setAdminActivity(activityLog);
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleAdminShowActivity = async (account) => {
+    try {
+      const query = account ? `?actor=${account._id}` : '';
+      setAdminActivity(await apiCall(`/api/admin/activity${query}`));
+      setAdminActivityActor(account);
+      setAdminTab('activity');
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handleOpenAdmin = () => {
+    setView('admin');
+    fetchAdminData();
+  };
+
+  const handleAdminUpdateUser = async (account, field, changes) => {
+    try {
+      await apiCall(`/api/admin/users/${account._id}/${field}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+      });
+      setNotification({
+        open: true,
+        message: `${account.username} updated`,
+        severity: 'success'
+      });
+      fetchAdminData();
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleAdminUnlockUser = async (account) => {
+    try {
+      const result = await apiCall(`/api/admin/users/${account._id}/unlock`, { method: 'POST' });
+      setNotification({
+        open: true,
+        message: result.message,
+        severity: 'success'
+      });
+      fetchAdminData();
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleAdminReassignProject = async (project) => {
+    const identifier = window.prompt(`New owner for "${project.name}" (username or email):`);
+    if (!identifier) return;
+
+    try {
+      await apiCall(`/api/admin/projects/${project._id}/reassign`, {
+        method: 'POST',
+        body: JSON.stringify({ identifier })
+      });
+      setNotification({
+        open: true,
+        message: `"${project.name}" reassigned to ${identifier}`,
+        severity: 'success'
+      });
+      fetchAdminData();
+      fetchProjects();
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const fetchTwoFactorStatus = async () => {
+    try {
+      const data = await apiCall('/api/auth/2fa');
+      setTwoFactorStatus(data);
+    } catch (error) {
+      console.error('Failed to fetch 2FA status:', error);
+    }
+  };
+
+  const handleOpenTwoFactor = () => {
+    setTwoFactorOpen(true);
+    setTwoFactorSetup(null);
+    setRecoveryCodes([]);
+    setTwoFactorManageForm({ code: '', password: '' });
+    fetchTwoFactorStatus();
+  };
+
+  const handleTwoFactorAction = async (endpoint, body, onSuccess) => {
+    try {
+      const result = await apiCall(endpoint, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      setTwoFactorManageForm({ code: '', password: '' });
+      onSuccess(result);
+      fetchTwoFactorStatus();
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleStartTwoFactorSetup = () => handleTwoFactorAction(
+    '/api/auth/2fa/setup',
+    {},
+    (result) => setTwoFactorSetup(result)
+  );
+
+  const handleEnableTwoFactor = () => handleTwoFactorAction(
+    '/api/auth/2fa/enable',
+    { code: twoFactorManageForm.code },
+    (result) => {
+      setTwoFactorSetup(null);
+      setRecoveryCodes(result.recoveryCodes);
+      setNotification({ open: true, message: result.message, severity: 'success' });
+    }
+  );
+
+  const handleRegenerateRecoveryCodes = () => handleTwoFactorAction(
+    '/api/auth/2fa/recovery-codes',
+    { code: twoFactorManageForm.code },
+    (result) => setRecoveryCodes(result.recoveryCodes)
+  );
+
+  const handleDisableTwoFactor = () => handleTwoFactorAction(
+    '/api/auth/2fa/disable',
+    { code: twoFactorManageForm.code, password: twoFactorManageForm.password },
+    (result) => {
+      setRecoveryCodes([]);
+      setNotification({ open: true, message: result.message, severity: 'success' });
+    }
+  );
+
+  // Updates send the version they were based on, so a stale one gets a 409
+  const saveProject = (form, basedOn) => apiCall(basedOn ? `/api/projects/${basedOn._id}` : '/api/projects', {
+    method: basedOn ? 'PUT' : 'POST',
+    ...(basedOn && { headers: { 'If-Match': `"${basedOn.__v}"` } }),
+    body: JSON.stringify(form)
+  });
+
+  const handleCreateProject = async () => {
+    try {
+      setLoading(true);
+      setProjectErrors({});
+      try {
+        await saveProject(projectForm, editingProject);
+      } catch (error) {
+        if (error.code !== 'VERSION_CONFLICT' || changedProjectFields(editingProject, error.current).length > 0) {
+          throw error;
+        }
+        // Only the status or members moved on meanwhile; nothing to merge
+        await saveProject(projectForm, error.current);
+      }
+
+      setNotification({
+        open: true,
+        message: `Project ${editingProject ? 'updated' : 'created'} successfully!`,
+        severity: 'success'
+      });
+
+      setOpenDialog(false);
+      setProjectForm({ name: '', description: '', technology: '' });
+      setEditingProject(null);
+      fetchProjects();
+      fetchAnalytics();
+    } catch (error) {
+      if (error.code === 'VERSION_CONFLICT') {
+        const { current } = error;
+        // Fields left alone in the dialog default to the newer value
+        setProjectConflict({
+          current,
+          fields: changedProjectFields(projectForm, current),
+          choices: Object.fromEntries(PROJECT_EDIT_FIELDS.map((field) => [
+            field,
+            changedProjectFields(projectForm, editingProject).includes(field) ? 'mine' : 'theirs'
+          ]))
+        });
+        return;
+      }
+      setProjectErrors(fieldErrors(error));
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Rebases the edit dialog on the latest version with the chosen values;
+  // saving still goes through the Update button
+  const handleMergeProjectConflict = () => {
+    const { current, choices } = projectConflict;
+    setProjectForm(Object.fromEntries(PROJECT_EDIT_FIELDS.map((field) => [
+      field,
+      choices[field] === 'mine' ? projectForm[field] : (current[field] || '')
+    ])));
+    setEditingProject(current);
+    setProjectConflict(null);
+    setNotification({ open: true, message: 'Merged with the latest version, review and click Update', severity: 'info' });
+  };
+
+  const handleDiscardProjectChanges = () => {
+    const { current } = projectConflict;
+    setProjects((prev) => prev.map((project) => (project._id === current._id ? current : project)));
+    setProjectConflict(null);
+    setOpenDialog(false);
+    setEditingProject(null);
+    setProjectErrors({});
+    setProjectForm({ name: '', description: '', technology: '' });
+  };
+
+  const handleEditProject = (project) => {
+    setEditingProject(project);
+    setProjectForm({
+      name: project.name,
+      description: project.description || '',
+      technology: project.technology
+    });
+    setOpenDialog(true);
+  };
+
+  const handleOpenStatusChange = (project) => {
+    const [next] = statusWorkflow.transitions[project.status] || [];
+    setStatusProject(project);
+    setStatusForm({ status: next || '', reason: '', override: false });
+  };
+
+  const handleChangeStatus = async () => {
+    try {
+      setLoading(true);
+      await apiCall(`/api/projects/${statusProject._id}/status`, {
+        method: 'POST',
+        body: JSON.stringify({
+          status: statusForm.status,
+          reason: statusForm.reason,
+          ...(statusForm.override && { override: true })
+        })
+      });
+      setNotification({
+        open: true,
+        message: `Project moved to ${statusForm.status}`,
+        severity: 'success'
+      });
+      setStatusProject(null);
+      fetchProjects();
+      fetchAnalytics();
+    } catch (error) {
+      if (error.code === 'VERSION_CONFLICT' && error.current) {
+        // Someone moved it first; show where it is now and let the user retry
+        const { current } = error;
+        setProjects((prev) => prev.map((project) => (project._id === current._id ? current : project)));
+        setStatusProject(current);
+      }
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Deleting only moves the project to the trash, so there's no confirmation;
+  // the toast offers an undo instead
+  const handleDeleteProject = async (projectId) => {
+    try {
+      await apiCall(`/api/projects/${projectId}`, { method: 'DELETE' });
+      setNotification({
+        open: true,
+        message: 'Project moved to trash',
+        severity: 'success',
+        action: { label: 'Undo', onClick: () => handleRestoreProject(projectId) }
+      });
+      fetchProjects();
+      fetchAnalytics();
+    } catch (error) {
+      setNotification({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  const fetchTrash = async () => {
+    try {
+      setTrash(await apiCall('/api/projects/trash'));
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const handleOpenTrash = () => {
+    setView('trash');
+    fetchTrash();
+  };
+
+  const handleRestoreProject = async (projectId) => {
+    try {
+      const project = await apiCall(`/api/projects/${projectId}/restore`, { method: 'POST' });
+      setNotification({ open: true, message: `Restored "${project.name}"`, severity: 'success' });
+      setTrash((prev) => ({ ...prev, projects: prev.projects.filter((item) => item._id !== projectId) }));
+      fetchProjects();
+      fetchAnalytics();
+    } catch (error) {
+      setNotification({ open: true, message: error.message, severity: 'error' });
+    }
+  };
+
+  const getStatusColor = (status) => {
+    const colors = {
+      planning: 'default',
+      development: 'primary',
+      testing: 'warning',
+      deployed: 'success'
+    };
+    return colors[status] || 'default';
+  };
+
+  const getTechnologyIcon = (tech) => {
+    const icons = {
+      'React': <CodeIcon />,
+      'Node.js': <CodeIcon />,
       'Python': <CodeIcon />,
       'Docker': <CloudIcon />,
       'AWS': <CloudIcon />,
@@ -307,6 +1875,142 @@ function App() {
     return icons[tech] || <ProjectIcon />;
   };
 
+  // Two-factor login step
+  if (!user && twoFactorChallenge) {
+    return (
+      <Container maxWidth="sm" sx={{ mt: 8 }}>
+        <Paper elevation={3} sx={{ p: 4 }}>
+          <Box display="flex" alignItems="center" justifyContent="center" mb={3}>
+            <LockIcon sx={{ fontSize: 40, mr: 2, color: 'primary.main' }} />
+            <Typography variant="h4" component="h1" fontWeight="bold">
+              MCP Supreme
+            </Typography>
+          </Box>
+
+          <Typography variant="h6" align="center" gutterBottom>
+            Two-factor authentication
+          </Typography>
+          <Typography color="textSecondary" align="center">
+            {twoFactorForm.useRecoveryCode
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </Typography>
+
+          <Box component="form" sx={{ mt: 3 }}>
+            {twoFactorForm.useRecoveryCode ? (
+              <TextField
+                fullWidth
+                autoFocus
+                label="Recovery code"
+                margin="normal"
+                value={twoFactorForm.recoveryCode}
+                onChange={(e) => setTwoFactorForm({ ...twoFactorForm, recoveryCode: e.target.value })}
+              />
+            ) : (
+              <TextField
+                fullWidth
+                autoFocus
+                label="Authentication code"
+                margin="normal"
+                inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+                value={twoFactorForm.code}
+                onChange={(e) => setTwoFactorForm({ ...twoFactorForm, code: e.target.value })}
+              />
+            )}
+
+            <Button
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3, mb: 2 }}
+              onClick={handleVerifyTwoFactor}
+              disabled={loading || !(twoFactorForm.useRecoveryCode ? twoFactorForm.recoveryCode : twoFactorForm.code)}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </Button>
+
+            <Button
+              fullWidth
+              variant="text"
+              onClick={() => setTwoFactorForm({ ...twoFactorForm, useRecoveryCode: !twoFactorForm.useRecoveryCode })}
+            >
+              {twoFactorForm.useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+            </Button>
+
+            <Button
+              fullWidth
+              variant="text"
+              onClick={() => setTwoFactorChallenge(null)}
+            >
+              Back to login
+            </Button>
+          </Box>
+        </Paper>
+      </Container>
+    );
+  }
+
+  // Password recovery UI
+  if (!user && authView !== 'credentials') {
+    const isReset = authView === 'reset';
+
+    return (
+      <Container maxWidth="sm" sx={{ mt: 8 }}>
+        <Paper elevation={3} sx={{ p: 4 }}>
+          <Box display="flex" alignItems="center" justifyContent="center" mb={3}>
+            <RocketIcon sx={{ fontSize: 40, mr: 2, color: 'primary.main' }} />
+            <Typography variant="h4" component="h1" fontWeight="bold">
+              MCP Supreme
+            </Typography>
+          </Box>
+
+          <Typography variant="h6" align="center" gutterBottom>
+            {isReset ? 'Choose a new password' : 'Reset your password'}
+          </Typography>
+
+          <Box component="form" sx={{ mt: 3 }}>
+            {isReset ? (
+              <TextField
+                fullWidth
+                label="New password"
+                type="password"
+                margin="normal"
+                value={recoveryForm.password}
+                onChange={(e) => setRecoveryForm({ ...recoveryForm, password: e.target.value })}
+              />
+            ) : (
+              <TextField
+                fullWidth
+                label="Email"
+                type="email"
+                margin="normal"
+                value={recoveryForm.email}
+                onChange={(e) => setRecoveryForm({ ...recoveryForm, email: e.target.value })}
+              />
+            )}
+
+            <Button
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3, mb: 2 }}
+              onClick={isReset ? handleResetPassword : handleForgotPassword}
+              disabled={loading || (isReset ? !recoveryForm.password : !recoveryForm.email)}
+            >
+              {loading ? 'Processing...' : (isReset ? 'Reset password' : 'Send reset link')}
+            </Button>
+
+            <Button
+              fullWidth
+              variant="text"
+              onClick={() => setAuthView('credentials')}
+            >
+              Back to login
+            </Button>
+          </Box>
+        </Paper>
+      </Container>
+    );
+  }
+
   // Login/Register UI
   if (!user) {
     return (
@@ -331,6 +2035,8 @@ function App() {
                 margin="normal"
                 value={registerForm.username}
                 onChange={(e) => setRegisterForm({ ...registerForm, username: e.target.value })}
+                error={Boolean(authErrors.username)}
+                helperText={authErrors.username}
               />
             )}
             
@@ -340,6 +2046,8 @@ function App() {
               type="email"
               margin="normal"
               value={isLoginMode ? loginForm.email : registerForm.email}
+              error={Boolean(authErrors.email)}
+              helperText={authErrors.email}
               onChange={(e) => {
                 if (isLoginMode) {
                   setLoginForm({ ...loginForm, email: e.target.value });
@@ -355,6 +2063,8 @@ function App() {
               type="password"
               margin="normal"
               value={isLoginMode ? loginForm.password : registerForm.password}
+              error={Boolean(authErrors.password)}
+              helperText={authErrors.password}
               onChange={(e) => {
                 if (isLoginMode) {
                   setLoginForm({ ...loginForm, password: e.target.value });
@@ -378,16 +2088,449 @@ function App() {
             <Button
               fullWidth
               variant="text"
-              onClick={() => setIsLoginMode(!isLoginMode)}
+              onClick={() => {
+                setIsLoginMode(!isLoginMode);
+                setAuthErrors({});
+              }}
             >
               {isLoginMode ? 'Need an account? Register' : 'Already have an account? Login'}
             </Button>
+
+            {isLoginMode && (
+              <Button
+                fullWidth
+                variant="text"
+                size="small"
+                onClick={() => {
+                  setRecoveryForm({ email: loginForm.email, password: '', token: '' });
+                  setAuthView('forgot');
+                }}
+              >
+                Forgot your password?
+              </Button>
+            )}
+
+            {isLoginMode && unverifiedEmail && (
+              <Alert severity="warning" sx={{ mt: 2 }} action={
+                <Button color="inherit" size="small" onClick={handleResendVerification} disabled={loading}>
+                  Resend
+                </Button>
+              }>
+                Check {unverifiedEmail} for the verification link.
+              </Alert>
+            )}
           </Box>
         </Paper>
       </Container>
     );
   }
 
+  // Trashed projects, restorable until they're purged
+  const renderTrashSection = () => (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      <Box display="flex" alignItems="center" mb={1}>
+        <DeleteIcon color="primary" sx={{ mr: 2, fontSize: 36 }} />
+        <Typography variant="h4" component="h2" sx={{ flexGrow: 1 }}>
+          Trash
+        </Typography>
+        <Button startIcon={<ArrowBackIcon />} onClick={() => setView('projects')}>
+          Back to projects
+        </Button>
+      </Box>
+      {trash.retentionDays && (
+        <Typography color="textSecondary" sx={{ mb: 3 }}>
+          Projects you delete stay here for {trash.retentionDays} days, then they and their tasks,
+          comments and files are removed permanently.
+        </Typography>
+      )}
+
+      <Paper>
+        <List>
+          {trash.projects.length === 0 && (
+            <ListItem>
+              <ListItemText primary="The trash is empty" />
+            </ListItem>
+          )}
+          {trash.projects.map((project) => (
+            <ListItem key={project._id} divider>
+              <ListItemText
+                primary={`${project.name} • ${project.technology}`}
+                secondary={
+                  `Deleted ${new Date(project.deletedAt).toLocaleString()}` +
+                  `${project.deletedBy?.username ? ` by ${project.deletedBy.username}` : ''} • ` +
+                  `purged ${new Date(project.purgeAt).toLocaleDateString()}`
+                }
+              />
+              <ListItemSecondaryAction>
+                <Button startIcon={<RestoreIcon />} onClick={() => handleRestoreProject(project._id)}>
+                  Restore
+                </Button>
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
+        </List>
+      </Paper>
+    </Container>
+  );
+
+  // Delivery analytics
+  const renderAnalyticsSection = () => {
+    const labels = timeSeries
+      ? timeSeries.projectsOverTime.buckets.map((date) => formatBucket(date, timeSeries.projectsOverTime.bucket))
+      : [];
+    const { statusDurations, leadTime, throughput } = timeSeries || {};
+
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4 }}>
+        <Box display="flex" alignItems="center" mb={3}>
+          <AnalyticsIcon color="primary" sx={{ mr: 2, fontSize: 36 }} />
+          <Typography variant="h4" component="h2" sx={{ flexGrow: 1 }}>
+            Analytics
+          </Typography>
+          <Button startIcon={<ArrowBackIcon />} onClick={() => setView('projects')}>
+            Back to projects
+          </Button>
+        </Box>
+
+        <Box display="flex" flexWrap="wrap" gap={2} mb={3}>
+          <TextField
+            label="From"
+            type="date"
+            size="small"
+            value={analyticsRange.from}
+            onChange={(e) => setAnalyticsRange({ ...analyticsRange, from: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="To"
+            type="date"
+            size="small"
+            value={analyticsRange.to}
+            onChange={(e) => setAnalyticsRange({ ...analyticsRange, to: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+          />
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Group by</InputLabel>
+            <Select
+              label="Group by"
+              value={analyticsRange.bucket}
+              onChange={(e) => setAnalyticsRange({ ...analyticsRange, bucket: e.target.value })}
+            >
+              <MenuItem value="week">Week</MenuItem>
+              <MenuItem value="month">Month</MenuItem>
+            </Select>
+          </FormControl>
+          {(analyticsRange.from || analyticsRange.to) && (
+            <Button onClick={() => setAnalyticsRange({ ...DEFAULT_ANALYTICS_RANGE, bucket: analyticsRange.bucket })}>
+              Last 12 {analyticsRange.bucket}s
+            </Button>
+          )}
+        </Box>
+
+        {!timeSeries ? (
+          <LinearProgress />
+        ) : (
+          <Grid container spacing={3}>
+            <Grid item xs={12} md={6}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Projects created and deployed</Typography>
+                  <BarChart
+                    labels={labels}
+                    series={[
+                      { label: 'Created', color: CHART_COLORS[0], values: timeSeries.projectsOverTime.created },
+                      { label: 'Deployed', color: CHART_COLORS[1], values: timeSeries.projectsOverTime.deployed }
+                    ]}
+                  />
+                </CardContent>
+              </Card>
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Lead time, planning to deployed</Typography>
+                  <Typography variant="body2" color="textSecondary" gutterBottom>
+                    {leadTime.overall.count > 0
+                      ? `${leadTime.overall.count} deployed • average ${leadTime.overall.averageHours}h • median ${leadTime.overall.medianHours}h`
+                      : 'No projects deployed in this range'}
+                  </Typography>
+                  <BarChart
+                    labels={labels}
+                    unit="h"
+                    series={[{ label: 'Average hours', color: CHART_COLORS[2], values: leadTime.averageHours }]}
+                  />
+                </CardContent>
+              </Card>
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Average time in status</Typography>
+                  <Box display="flex" flexWrap="wrap" gap={1} mb={1}>
+                    {PROJECT_STATUSES.map((status) => (
+                      <Chip
+                        key={status}
+                        size="small"
+                        color={getStatusColor(status)}
+                        label={`${status}: ${statusDurations.overall[status].averageHours ?? '—'}h`}
+                      />
+                    ))}
+                  </Box>
+                  <BarChart
+                    labels={labels}
+                    unit="h"
+                    series={PROJECT_STATUSES.map((status, index) => ({
+                      label: status,
+                      color: CHART_COLORS[index],
+                      values: statusDurations.statuses[status]
+                    }))}
+                  />
+                </CardContent>
+              </Card>
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>Tasks completed per member</Typography>
+                  {throughput.members.length === 0 ? (
+                    <Typography variant="body2" color="textSecondary">No tasks completed in this range</Typography>
+                  ) : (
+                    <>
+                      <BarChart
+                        labels={labels}
+                        series={throughput.members.slice(0, CHART_COLORS.length).map((member, index) => ({
+                          label: member.user?.username || 'Unassigned',
+                          color: CHART_COLORS[index],
+                          values: member.completed
+                        }))}
+                      />
+                      <Table size="small" sx={{ mt: 1 }}>
+                        <TableBody>
+                          {throughput.members.map((member) => (
+                            <TableRow key={member.user?._id || 'unassigned'}>
+                              <TableCell>{member.user?.username || 'Unassigned'}</TableCell>
+                              <TableCell align="right">{member.total}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </>
+                  )}
+                </CardContent>
+              </Card>
+            </Grid>
+          </Grid>
+        )}
+      </Container>
+    );
+  };
+
+  // Admin console
+  const renderAdminSection = () => (
+    <Container maxWidth="lg" sx={{ mt: 4 }}>
+      <Box display="flex" alignItems="center" mb={3}>
+        <AdminIcon color="primary" sx={{ mr: 2, fontSize: 36 }} />
+        <Typography variant="h4" component="h2" sx={{ flexGrow: 1 }}>
+          Admin Console
+        </Typography>
+        <Button startIcon={<ArrowBackIcon />} onClick={() => setView('projects')}>
+          Back to projects
+        </Button>
+      </Box>
+
+      <Grid container spacing={3} sx={{ mb: 4 }}>
+        {[
+          { label: 'Users', value: adminStats.userCount, icon: <PersonIcon color="info" sx={{ mr: 2 }} /> },
+          { label: 'Admins', value: adminStats.adminCount, icon: <AdminIcon color="primary" sx={{ mr: 2 }} /> },
+          { label: 'Disabled accounts', value: adminStats.disabledCount, icon: <BlockIcon color="error" sx={{ mr: 2 }} /> },
+          { label: 'Projects', value: adminStats.projectCount, icon: <ProjectIcon color="success" sx={{ mr: 2 }} /> }
+        ].map((stat) => (
+          <Grid item xs={12} md={3} key={stat.label}>
+            <Card>
+              <CardContent>
+                <Box display="flex" alignItems="center">
+                  {stat.icon}
+                  <div>
+                    <Typography variant="h4">{stat.value || 0}</Typography>
+                    <Typography color="textSecondary">{stat.label}</Typography>
+                  </div>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Paper sx={{ p: 2 }}>
+        <Box display="flex" alignItems="center" mb={2}>
+          <Tabs value={adminTab} onChange={(e, value) => setAdminTab(value)} sx={{ flexGrow: 1 }}>
+            <Tab label={`Users (${adminUsers.total})`} value="users" />
+            <Tab label={`Projects (${adminProjects.total})`} value="projects" />
+            <Tab label={`Security events (${securityEvents.total})`} value="security" />
+            <Tab label={`Activity (${adminActivity.total})`} value="activity" />
+          </Tabs>
+          <TextField
+            size="small"
+            label="Search"
+            value={adminSearch}
+            onChange={(e) => setAdminSearch(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && fetchAdminData()}
+          />
+        </Box>
+
+        {adminTab === 'users' && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Username</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Joined</TableCell>
+                <TableCell align="right">Enabled</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {adminUsers.users.map((account) => (
+                <TableRow key={account._id}>
+                  <TableCell>{account.username}</TableCell>
+                  <TableCell>{account.email}</TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      value={account.role}
+                      disabled={account._id === user.id}
+                      onChange={(e) => handleAdminUpdateUser(account, 'role', { role: e.target.value })}
+                    >
+                      <MenuItem value="user">user</MenuItem>
+                      <MenuItem value="admin">admin</MenuItem>
+                    </Select>
+                  </TableCell>
+                  <TableCell>{new Date(account.createdAt).toLocaleDateString()}</TableCell>
+                  <TableCell align="right">
+                    {account.lockUntil && new Date(account.lockUntil) > new Date() && (
+                      <Tooltip title={`Locked until ${new Date(account.lockUntil).toLocaleTimeString()}, click to unlock`}>
+                        <IconButton color="warning" onClick={() => handleAdminUnlockUser(account)}>
+                          <LockIcon />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    <Tooltip title="Activity">
+                      <IconButton onClick={() => handleAdminShowActivity(account)}>
+                        <ProjectIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Switch
+                      checked={!account.disabled}
+                      disabled={account._id === user.id}
+                      onChange={(e) => handleAdminUpdateUser(account, 'status', { disabled: !e.target.checked })}
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {adminTab === 'projects' && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Technology</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Owner</TableCell>
+                <TableCell>Members</TableCell>
+                <TableCell align="right">Reassign</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {adminProjects.projects.map((project) => (
+                <TableRow key={project._id}>
+                  <TableCell>{project.name}</TableCell>
+                  <TableCell>{project.technology}</TableCell>
+                  <TableCell>
+                    <Chip label={project.status} color={getStatusColor(project.status)} size="small" />
+                  </TableCell>
+                  <TableCell>{project.owner?.username}</TableCell>
+                  <TableCell>{1 + project.collaborators.length}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Reassign owner">
+                      <IconButton onClick={() => handleAdminReassignProject(project)}>
+                        <SwapIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {adminTab === 'security' && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>When</TableCell>
+                <TableCell>Event</TableCell>
+                <TableCell>Account</TableCell>
+                <TableCell>IP address</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {securityEvents.events.map((event) => (
+                <TableRow key={event._id}>
+                  <TableCell>{new Date(event.createdAt).toLocaleString()}</TableCell>
+                  <TableCell>
+                    <Chip
+                      label={event.type}
+                      color={event.type === 'account-unlocked' ? 'success' : 'error'}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell>{event.user?.username || event.email || '—'}</TableCell>
+                  <TableCell>{event.ip}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {adminTab === 'activity' && (
+          <>
+            {adminActivityActor && (
+              <Chip
+                label={`Actor: ${adminActivityActor.username}`}
+                onDelete={() => handleAdminShowActivity(null)}
+                sx={{ mb: 2 }}
+              />
+            )}
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>When</TableCell>
+                  <TableCell>Project</TableCell>
+                  <TableCell>Activity</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {adminActivity.activity.map((entry) => (
+                  <TableRow key={entry._id}>
+                    <TableCell>{new Date(entry.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>{entry.projectName}</TableCell>
+                    <TableCell>{describeActivity(entry)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </Paper>
+    </Container>
+  );
+
   // Main App UI
   return (
     <div>
@@ -399,19 +2542,74 @@ function App() {
           </Typography>
           
           <Tooltip title="Notifications">
-            <IconButton color="inherit">
-              <Badge badgeContent={notifications.length} color="error">
+            <IconButton color="inherit" onClick={(e) => setNotificationsAnchor(e.currentTarget)}>
+              <Badge badgeContent={unreadCount} color="error">
                 <NotificationsIcon />
               </Badge>
             </IconButton>
           </Tooltip>
+          <Menu
+            anchorEl={notificationsAnchor}
+            open={Boolean(notificationsAnchor)}
+            onClose={() => setNotificationsAnchor(null)}
+            PaperProps={{ sx: { width: 360, maxHeight: 480 } }}
+          >
+            <Box display="flex" justifyContent="space-between" alignItems="center" px={2} py={1}>
+              <Typography variant="subtitle1">
+                Notifications{unreadCount > 0 && ` (${unreadCount} unread)`}
+              </Typography>
+              <Tooltip title="Mark all as read">
+                <span>
+                  <IconButton size="small" onClick={handleReadAllNotifications} disabled={unreadCount === 0}>
+                    <DoneAllIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Box>
+            <Divider />
+            {notifications.length === 0 && (
+              <Typography color="textSecondary" sx={{ px: 2, py: 2 }}>
+                You're all caught up.
+              </Typography>
+            )}
+            {notifications.map((item) => (
+              <MenuItem
+                key={item._id}
+                onClick={() => handleReadNotification(item)}
+                sx={{ whiteSpace: 'normal', alignItems: 'flex-start', bgcolor: item.readAt ? 'transparent' : 'action.hover' }}
+              >
+                <ListItemText
+                  primary={item.message}
+                  secondary={`${item.project?.name ? `${item.project.name} • ` : ''}${new Date(item.createdAt).toLocaleString()}`}
+                  primaryTypographyProps={{ fontWeight: item.readAt ? 'normal' : 'bold', variant: 'body2' }}
+                />
+                <IconButton
+                  size="small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleDeleteNotification(item);
+                  }}
+                >
+                  <CloseIcon fontSize="small" />
+                </IconButton>
+              </MenuItem>
+            ))}
+          </Menu>
 
           <Tooltip title="Analytics">
-            <IconButton color="inherit">
+            <IconButton color="inherit" onClick={() => setView('analytics')}>
               <AnalyticsIcon />
             </IconButton>
           </Tooltip>
 
+          {user.role === 'admin' && (
+            <Tooltip title="Admin console">
+              <IconButton color="inherit" onClick={handleOpenAdmin}>
+                <AdminIcon />
+              </IconButton>
+            </Tooltip>
+          )}
+
           <Avatar sx={{ ml: 2, mr: 1 }}>
             <PersonIcon />
           </Avatar>
@@ -420,6 +2618,18 @@ function App() {
             {user.username}
           </Typography>
           
+          <Tooltip title="Two-factor authentication">
+            <IconButton color="inherit" onClick={handleOpenTwoFactor}>
+              <LockIcon />
+            </IconButton>
+          </Tooltip>
+
+          <Tooltip title="Active sessions">
+            <IconButton color="inherit" onClick={handleOpenSessions}>
+              <DevicesIcon />
+            </IconButton>
+          </Tooltip>
+
           <Tooltip title="Logout">
             <IconButton color="inherit" onClick={handleLogout}>
               <LogoutIcon />
@@ -428,153 +2638,331 @@ function App() {
         </Toolbar>
       </AppBar>
 
-      <Container maxWidth="lg" sx={{ mt: 4 }}>
-        {/* Analytics Dashboard */}
-        <Grid container spacing={3} sx={{ mb: 4 }}>
-          <Grid item xs={12} md={3}>
-            <Card>
-              <CardContent>
-                <Box display="flex" alignItems="center">
-                  <DashboardIcon color="primary" sx={{ mr: 2 }} />
-                  <div>
-                    <Typography variant="h4">{analytics.userProjects || 0}</Typography>
-                    <Typography color="textSecondary">Your Projects</Typography>
-                  </div>
-                </Box>
-              </CardContent>
-            </Card>
-          </Grid>
-          
-          <Grid item xs={12} md={3}>
-            <Card>
-              <CardContent>
-                <Box display="flex" alignItems="center">
-                  <ProjectIcon color="success" sx={{ mr: 2 }} />
-                  <div>
-                    <Typography variant="h4">{analytics.projectCount || 0}</Typography>
-                    <Typography color="textSecondary">Total Projects</Typography>
-                  </div>
-                </Box>
-              </CardContent>
-            </Card>
-          </Grid>
+      {view === 'admin' && renderAdminSection()}
 
-          <Grid item xs={12} md={3}>
-            <Card>
-              <CardContent>
-                <Box display="flex" alignItems="center">
-                  <PersonIcon color="info" sx={{ mr: 2 }} />
-                  <div>
-                    <Typography variant="h4">{analytics.userCount || 0}</Typography>
-                    <Typography color="textSecondary">Total Users</Typography>
-                  </div>
-                </Box>
-              </CardContent>
-            </Card>
-          </Grid>
+      {view === 'analytics' && renderAnalyticsSection()}
 
-          <Grid item xs={12} md={3}>
-            <Card>
-              <CardContent>
-                <Box display="flex" alignItems="center">
-                  <CloudIcon color="warning" sx={{ mr: 2 }} />
-                  <div>
-                    <Typography variant="h4">AWS</Typography>
-                    <Typography color="textSecondary">Deployment Ready</Typography>
-                  </div>
-                </Box>
-              </CardContent>
-            </Card>
-          </Grid>
-        </Grid>
+      {view === 'trash' && renderTrashSection()}
 
-        {/* Projects Section */}
-        <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
-          <Typography variant="h4" component="h2">
-            Your Projects
-          </Typography>
-          <Button
-            variant="contained"
-            startIcon={<AddIcon />}
-            onClick={() => setOpenDialog(true)}
-          >
-            New Project
-          </Button>
-        </Box>
+      {view === 'projects' && (
+        <Container maxWidth="lg" sx={{ mt: 4 }}>
+          {/* Analytics Dashboard */}
+          <Grid container spacing={3} sx={{ mb: 4 }}>
+            <Grid item xs={12} md={3}>
+              <Card>
+                <CardContent>
+                  <Box display="flex" alignItems="center">
+                    <DashboardIcon color="primary" sx={{ mr: 2 }} />
+                    <div>
+                      <Typography variant="h4">{analytics.userProjects || 0}</Typography>
+                      <Typography color="textSecondary">Your Projects</Typography>
+                    </div>
+                  </Box>
+                </CardContent>
+              </Card>
+            </Grid>
+            
+            <Grid item xs={12} md={3}>
+              <Card>
+                <CardContent>
+                  <Box display="flex" alignItems="center">
+                    <ProjectIcon color="success" sx={{ mr: 2 }} />
+                    <div>
+                      <Typography variant="h4">{analytics.projectCount || 0}</Typography>
+                      <Typography color="textSecondary">Total Projects</Typography>
+                    </div>
+                  </Box>
+                </CardContent>
+              </Card>
+            </Grid>
 
-        <Grid container spacing={3}>
-          {projects.map((project) => (
-            <Grid item xs={12} md={6} lg={4} key={project._id}>
+            <Grid item xs={12} md={3}>
               <Card>
                 <CardContent>
-                  <Box display="flex" alignItems="center" mb={2}>
-                    {getTechnologyIcon(project.technology)}
-                    <Typography variant="h6" sx={{ ml: 1, flexGrow: 1 }}>
-                      {project.name}
-                    </Typography>
-                    <Chip
-                      label={project.status}
-                      color={getStatusColor(project.status)}
-                      size="small"
-                    />
+                  <Box display="flex" alignItems="center">
+                    <PersonIcon color="info" sx={{ mr: 2 }} />
+                    <div>
+                      <Typography variant="h4">{analytics.userCount || 0}</Typography>
+                      <Typography color="textSecondary">Total Users</Typography>
+                    </div>
                   </Box>
-                  
-                  <Typography color="textSecondary" paragraph>
-                    {project.description || 'No description available'}
-                  </Typography>
-                  
-                  <Typography variant="body2" color="textSecondary" gutterBottom>
-                    Technology: {project.technology}
-                  </Typography>
-                  
-                  <Typography variant="body2" color="textSecondary" gutterBottom>
-                    Created: {new Date(project.createdAt).toLocaleDateString()}
-                  </Typography>
-                  
-                  <Divider sx={{ my: 2 }} />
-                  
-                  <Box display="flex" justifyContent="space-between">
-                    <Button
-                      startIcon={<EditIcon />}
-                      onClick={() => handleEditProject(project)}
-                      size="small"
-                    >
-                      Edit
-                    </Button>
-                    <Button
-                      startIcon={<DeleteIcon />}
-                      onClick={() => handleDeleteProject(project._id)}
-                      color="error"
-                      size="small"
-                    >
-                      Delete
-                    </Button>
+                </CardContent>
+              </Card>
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <Card>
+                <CardContent>
+                  <Box display="flex" alignItems="center">
+                    <CloudIcon color="warning" sx={{ mr: 2 }} />
+                    <div>
+                      <Typography variant="h4">AWS</Typography>
+                      <Typography color="textSecondary">Deployment Ready</Typography>
+                    </div>
                   </Box>
                 </CardContent>
               </Card>
             </Grid>
-          ))}
-        </Grid>
+          </Grid>
 
-        {projects.length === 0 && (
-          <Paper sx={{ p: 4, textAlign: 'center', mt: 4 }}>
-            <RocketIcon sx={{ fontSize: 60, color: 'text.secondary', mb: 2 }} />
-            <Typography variant="h5" gutterBottom>
-              No projects yet
-            </Typography>
-            <Typography color="textSecondary" paragraph>
-              Create your first project to get started with MCP Supreme!
+          {/* Pending Invitations */}
+          {invitations.length > 0 && (
+            <Paper sx={{ p: 2, mb: 4 }}>
+              <Typography variant="h6" gutterBottom>
+                Pending Invitations
+              </Typography>
+              <List dense>
+                {invitations.map((invitation) => (
+                  <ListItem key={invitation._id}>
+                    <ListItemText
+                      primary={invitation.project.name}
+                      secondary={`Invited by ${invitation.invitedBy?.username || 'unknown'} • ${invitation.project.technology}`}
+                    />
+                    <ListItemSecondaryAction>
+                      <Tooltip title="Accept">
+                        <IconButton color="success" onClick={() => handleRespondInvitation(invitation._id, 'accept')}>
+                          <CheckIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Decline">
+                        <IconButton color="error" onClick={() => handleRespondInvitation(invitation._id, 'decline')}>
+                          <CloseIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </ListItemSecondaryAction>
+                  </ListItem>
+                ))}
+              </List>
+            </Paper>
+          )}
+
+          {/* Projects Section */}
+          <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+            <Typography variant="h4" component="h2">
+              Your Projects ({projectPage.total})
             </Typography>
-            <Button
-              variant="contained"
-              startIcon={<AddIcon />}
-              onClick={() => setOpenDialog(true)}
-            >
-              Create First Project
+            <Box display="flex" gap={1}>
+              <Button startIcon={<DownloadIcon />} onClick={() => handleExportProjects('csv')}>
+                CSV
+              </Button>
+              <Button startIcon={<DownloadIcon />} onClick={() => handleExportProjects('json')}>
+                JSON
+              </Button>
+              <Button startIcon={<DeleteIcon />} onClick={handleOpenTrash}>
+                Trash
+              </Button>
+              <Button component="label" startIcon={<UploadIcon />} disabled={importing}>
+                Import
+                <input type="file" hidden accept=".csv,.json,text/csv,application/json" onChange={handleImportFile} />
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => setOpenDialog(true)}
+              >
+                New Project
+              </Button>
+            </Box>
+          </Box>
+
+          <Box display="flex" flexWrap="wrap" gap={2} mb={3}>
+            <TextField
+              size="small"
+              label="Search"
+              value={projectFilters.search}
+              onChange={(e) => setProjectFilters({ ...projectFilters, search: e.target.value })}
+              sx={{ minWidth: 220 }}
+            />
+            <FormControl size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Status</InputLabel>
+              <Select
+                multiple
+                value={projectFilters.status}
+                label="Status"
+                onChange={(e) => setProjectFilters({ ...projectFilters, status: e.target.value })}
+              >
+                {PROJECT_STATUSES.map((status) => (
+                  <MenuItem key={status} value={status}>{status}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Technology</InputLabel>
+              <Select
+                multiple
+                value={projectFilters.technology}
+                label="Technology"
+                onChange={(e) => setProjectFilters({ ...projectFilters, technology: e.target.value })}
+              >
+                {PROJECT_TECHNOLOGIES.map((technology) => (
+                  <MenuItem key={technology} value={technology}>{technology}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Sort by</InputLabel>
+              <Select
+                value={projectFilters.sort}
+                label="Sort by"
+                onChange={(e) => setProjectFilters({ ...projectFilters, sort: e.target.value })}
+              >
+                <MenuItem value="updatedAt">Last updated</MenuItem>
+                <MenuItem value="createdAt">Newest</MenuItem>
+                <MenuItem value="name">Name</MenuItem>
+              </Select>
+            </FormControl>
+            <Button onClick={() => setProjectFilters(DEFAULT_PROJECT_FILTERS)}>
+              Clear
             </Button>
-          </Paper>
-        )}
-      </Container>
+          </Box>
+
+          <Grid container spacing={3}>
+            {projects.map((project) => (
+              <Grid item xs={12} md={6} lg={4} key={project._id}>
+                <Card>
+                  <CardContent>
+                    <Box display="flex" alignItems="center" mb={2}>
+                      {getTechnologyIcon(project.technology)}
+                      <Typography variant="h6" sx={{ ml: 1, flexGrow: 1 }}>
+                        {project.name}
+                      </Typography>
+                      <Tooltip title={project.permissions?.includes('status') ? 'Change status' : ''}>
+                        <Chip
+                          label={project.status}
+                          color={getStatusColor(project.status)}
+                          size="small"
+                          onClick={project.permissions?.includes('status') ? () => handleOpenStatusChange(project) : undefined}
+                        />
+                      </Tooltip>
+                    </Box>
+                    
+                    <Typography color="textSecondary" paragraph>
+                      {project.description || 'No description available'}
+                    </Typography>
+                    
+                    <Typography variant="body2" color="textSecondary" gutterBottom>
+                      Technology: {project.technology}
+                    </Typography>
+                    
+                    <Typography variant="body2" color="textSecondary" gutterBottom>
+                      Created: {new Date(project.createdAt).toLocaleDateString()}
+                    </Typography>
+
+                    <Typography variant="body2" color="textSecondary" gutterBottom>
+                      Your role: {project.role}
+                    </Typography>
+
+                    {project.statusHistory?.length > 0 && (
+                      <Box mt={1}>
+                        <Button
+                          size="small"
+                          onClick={() => setExpandedTimelines({
+                            ...expandedTimelines,
+                            [project._id]: !expandedTimelines[project._id]
+                          })}
+                        >
+                          {expandedTimelines[project._id] ? 'Hide' : 'Show'} status timeline ({project.statusHistory.length})
+                        </Button>
+                        {expandedTimelines[project._id] && (
+                          <Box sx={{ borderLeft: 2, borderColor: 'divider', pl: 2, ml: 1 }}>
+                            {[...project.statusHistory].reverse().map((change) => (
+                              <Box key={`${change.to}-${change.changedAt}`} mb={1}>
+                                <Box display="flex" alignItems="center" gap={1}>
+                                  <Chip label={change.to} color={getStatusColor(change.to)} size="small" />
+                                  {change.override && <Chip label="override" size="small" variant="outlined" />}
+                                </Box>
+                                <Typography variant="caption" color="textSecondary" display="block">
+                                  {new Date(change.changedAt).toLocaleString()}
+                                  {change.changedBy?.username && ` by ${change.changedBy.username}`}
+                                  {change.from ? ` (from ${change.from})` : ''}
+                                </Typography>
+                                {change.reason && (
+                                  <Typography variant="caption" display="block">
+                                    {change.reason}
+                                  </Typography>
+                                )}
+                              </Box>
+                            ))}
+                          </Box>
+                        )}
+                      </Box>
+                    )}
+                    
+                    <Divider sx={{ my: 2 }} />
+                    
+                    <Box display="flex" justifyContent="space-between">
+                      {project.permissions?.includes('update') && (
+                        <Button
+                          startIcon={<EditIcon />}
+                          onClick={() => handleEditProject(project)}
+                          size="small"
+                        >
+                          Edit
+                        </Button>
+                      )}
+                      <Button
+                        startIcon={<OpenIcon />}
+                        onClick={() => handleOpenProject(project)}
+                        size="small"
+                      >
+                        Open
+                      </Button>
+                      <Button
+                        startIcon={<GroupIcon />}
+                        onClick={() => handleOpenMembers(project)}
+                        size="small"
+                      >
+                        Members ({1 + (project.collaborators?.length || 0)})
+                      </Button>
+                      {project.permissions?.includes('delete') && (
+                        <Button
+                          startIcon={<DeleteIcon />}
+                          onClick={() => handleDeleteProject(project._id)}
+                          color="error"
+                          size="small"
+                        >
+                          Delete
+                        </Button>
+                      )}
+                    </Box>
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+
+          <Box ref={loadMoreRef} display="flex" justifyContent="center" py={2}>
+            {loadingMore && <CircularProgress size={24} />}
+          </Box>
+
+          {projects.length === 0 && projectPage.total === 0 && projectFilters !== DEFAULT_PROJECT_FILTERS && (
+            <Paper sx={{ p: 4, textAlign: 'center', mt: 4 }}>
+              <Typography color="textSecondary">
+                No projects match these filters.
+              </Typography>
+            </Paper>
+          )}
+
+          {projects.length === 0 && projectFilters === DEFAULT_PROJECT_FILTERS && (
+            <Paper sx={{ p: 4, textAlign: 'center', mt: 4 }}>
+              <RocketIcon sx={{ fontSize: 60, color: 'text.secondary', mb: 2 }} />
+              <Typography variant="h5" gutterBottom>
+                No projects yet
+              </Typography>
+              <Typography color="textSecondary" paragraph>
+                Create your first project to get started with MCP Supreme!
+              </Typography>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => setOpenDialog(true)}
+              >
+                Create First Project
+              </Button>
+            </Paper>
+          )}
+        </Container>
+      )}
 
       {/* Create/Edit Project Dialog */}
       <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="sm" fullWidth>
@@ -590,6 +2978,8 @@ function App() {
             variant="outlined"
             value={projectForm.name}
             onChange={(e) => setProjectForm({ ...projectForm, name: e.target.value })}
+            error={Boolean(projectErrors.name)}
+            helperText={projectErrors.name}
             sx={{ mb: 2 }}
           />
           
@@ -602,10 +2992,12 @@ function App() {
             variant="outlined"
             value={projectForm.description}
             onChange={(e) => setProjectForm({ ...projectForm, description: e.target.value })}
+            error={Boolean(projectErrors.description)}
+            helperText={projectErrors.description}
             sx={{ mb: 2 }}
           />
           
-          <FormControl fullWidth sx={{ mb: 2 }}>
+          <FormControl fullWidth sx={{ mb: 2 }} error={Boolean(projectErrors.technology)}>
             <InputLabel>Technology</InputLabel>
             <Select
               value={projectForm.technology}
@@ -619,27 +3011,16 @@ function App() {
               <MenuItem value="AWS">AWS</MenuItem>
               <MenuItem value="Security">Security</MenuItem>
             </Select>
+            {projectErrors.technology && <FormHelperText>{projectErrors.technology}</FormHelperText>}
           </FormControl>
           
-          <FormControl fullWidth>
-            <InputLabel>Status</InputLabel>
-            <Select
-              value={projectForm.status}
-              label="Status"
-              onChange={(e) => setProjectForm({ ...projectForm, status: e.target.value })}
-            >
-              <MenuItem value="planning">Planning</MenuItem>
-              <MenuItem value="development">Development</MenuItem>
-              <MenuItem value="testing">Testing</MenuItem>
-              <MenuItem value="deployed">Deployed</MenuItem>
-            </Select>
-          </FormControl>
         </DialogContent>
         <DialogActions>
           <Button onClick={() => {
             setOpenDialog(false);
             setEditingProject(null);
-            setProjectForm({ name: '', description: '', technology: '', status: 'planning' });
+            setProjectErrors({});
+            setProjectForm({ name: '', description: '', technology: '' });
           }}>
             Cancel
           </Button>
@@ -653,6 +3034,708 @@ function App() {
         </DialogActions>
       </Dialog>
 
+      {/* Edit conflict: someone saved the project while the dialog was open */}
+      <Dialog open={Boolean(projectConflict)} onClose={() => setProjectConflict(null)} maxWidth="md" fullWidth>
+        <DialogTitle>This project was changed while you were editing</DialogTitle>
+        <DialogContent>
+          {projectConflict && (
+            <>
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Pick which value to keep for each field, or discard your changes and keep the latest version.
+              </Alert>
+              {projectConflict.fields.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  Your values already match the latest version.
+                </Typography>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Field</TableCell>
+                      <TableCell>Yours</TableCell>
+                      <TableCell>Latest</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {projectConflict.fields.map((field) => (
+                      <TableRow key={field}>
+                        <TableCell sx={{ textTransform: 'capitalize' }}>{field}</TableCell>
+                        {['mine', 'theirs'].map((side) => (
+                          <TableCell key={side} sx={{ verticalAlign: 'top', width: '40%' }}>
+                            <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', mb: 1 }}>
+                              {(side === 'mine' ? projectForm[field] : projectConflict.current[field]) || <em>empty</em>}
+                            </Typography>
+                            <Button
+                              size="small"
+                              variant={projectConflict.choices[field] === side ? 'contained' : 'outlined'}
+                              onClick={() => setProjectConflict((prev) => ({ ...prev, choices: { ...prev.choices, [field]: side } }))}
+                            >
+                              {side === 'mine' ? 'Keep mine' : 'Use latest'}
+                            </Button>
+                          </TableCell>
+                        ))}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button color="error" onClick={handleDiscardProjectChanges}>Discard my changes</Button>
+          <Button variant="contained" onClick={handleMergeProjectConflict}>Merge</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Change Status Dialog */}
+      {/* Import preview */}
+      <Dialog open={Boolean(projectImport)} onClose={() => setProjectImport(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Import {projectImport?.fileName}</DialogTitle>
+        <DialogContent>
+          {projectImport && (
+            <>
+              <Alert severity={projectImport.report.errors.length > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+                {projectImport.report.valid} of {projectImport.report.total} rows are valid
+                {projectImport.report.errors.length > 0 && '. Fix the rows below and import the file again.'}
+              </Alert>
+              {projectImport.report.errors.length > 0 && (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Row</TableCell>
+                      <TableCell>Field</TableCell>
+                      <TableCell>Problem</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {projectImport.report.errors.map((rowError, index) => (
+                      <TableRow key={index}>
+                        <TableCell>{rowError.row}</TableCell>
+                        <TableCell>{rowError.field}</TableCell>
+                        <TableCell>{rowError.message}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+              {projectImport.report.warnings?.length > 0 && (
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  {projectImport.report.warnings.map((warning, index) => (
+                    <div key={index}>Row {warning.row}: {warning.message}</div>
+                  ))}
+                </Alert>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setProjectImport(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleConfirmImport}
+            disabled={importing || !projectImport || projectImport.report.errors.length > 0}
+          >
+            Import {projectImport?.report.valid} projects
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(statusProject)} onClose={() => setStatusProject(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Change Status</DialogTitle>
+        <DialogContent>
+          {statusProject && (
+            <>
+              <Typography color="textSecondary" sx={{ mb: 2 }}>
+                {statusProject.name} is currently <strong>{statusProject.status}</strong>.
+              </Typography>
+              <FormControl fullWidth sx={{ mb: 2 }}>
+                <InputLabel>New status</InputLabel>
+                <Select
+                  value={statusForm.status}
+                  label="New status"
+                  onChange={(e) => setStatusForm({ ...statusForm, status: e.target.value })}
+                >
+                  {(statusForm.override
+                    ? statusWorkflow.statuses.filter((status) => status !== statusProject.status)
+                    : statusWorkflow.transitions[statusProject.status] || []
+                  ).map((status) => (
+                    <MenuItem key={status} value={status}>{status}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                fullWidth
+                multiline
+                rows={2}
+                label="Reason (optional)"
+                value={statusForm.reason}
+                onChange={(e) => setStatusForm({ ...statusForm, reason: e.target.value })}
+              />
+              {user?.role === 'admin' && (
+                <Box display="flex" alignItems="center" mt={1}>
+                  <Switch
+                    checked={statusForm.override}
+                    onChange={(e) => setStatusForm({ ...statusForm, override: e.target.checked })}
+                  />
+                  <Typography variant="body2">Override workflow (admin)</Typography>
+                </Box>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setStatusProject(null)}>Cancel</Button>
+          <Button
+            onClick={handleChangeStatus}
+            variant="contained"
+            disabled={loading || !statusForm.status}
+          >
+            Change Status
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Project View Dialog */}
+      <Dialog open={Boolean(openProject)} onClose={handleCloseProject} maxWidth="md" fullWidth>
+        <DialogTitle>
+          <Box display="flex" alignItems="center">
+            <Typography variant="h6" sx={{ flexGrow: 1 }}>{openProject?.name}</Typography>
+            {projectViewers.filter((viewer) => viewer.id !== user.id).map((viewer) => (
+              <Tooltip key={viewer.id} title={`${viewer.username} is viewing`}>
+                <Avatar sx={{ width: 28, height: 28, fontSize: 14, mr: 0.5, bgcolor: 'secondary.main' }}>
+                  {viewer.username?.[0]?.toUpperCase()}
+                </Avatar>
+              </Tooltip>
+            ))}
+            {openProject && (
+              <Chip label={openProject.status} color={getStatusColor(openProject.status)} size="small" />
+            )}
+          </Box>
+        </DialogTitle>
+        <DialogContent>
+          <Tabs value={projectTab} onChange={(e, value) => setProjectTab(value)} sx={{ mb: 2 }}>
+            <Tab label={`Board (${tasks.length})`} value="board" />
+            <Tab label={`Discussion (${comments.filter((comment) => !comment.deletedAt).length})`} value="discussion" />
+            <Tab label={`Files (${attachments.attachments.length})`} value="files" />
+            <Tab label={`Activity (${activity.total})`} value="activity" />
+          </Tabs>
+
+          {projectTab === 'files' && openProject && (
+            <>
+              <Box display="flex" alignItems="center" mb={1}>
+                <Typography variant="body2" color="textSecondary" sx={{ flexGrow: 1 }}>
+                  {attachments.usage && (
+                    `${formatBytes(attachments.usage.used)} of ${formatBytes(attachments.usage.quota)} used • ` +
+                    `up to ${formatBytes(attachments.usage.maxFileSize)} per file`
+                  )}
+                </Typography>
+                {openProject.permissions?.includes('update') && (
+                  <Button variant="contained" component="label" size="small" disabled={uploading}>
+                    {uploading ? 'Uploading…' : 'Upload file'}
+                    <input
+                      type="file"
+                      hidden
+                      accept={attachments.usage?.allowedTypes.join(',')}
+                      onChange={handleUploadAttachment}
+                    />
+                  </Button>
+                )}
+              </Box>
+              {attachments.attachments.length === 0 && (
+                <Typography color="textSecondary">No files yet.</Typography>
+              )}
+              <List dense>
+                {attachments.attachments.map((attachment) => (
+                  <ListItem key={attachment._id} divider>
+                    <ListItemText
+                      primary={(
+                        <Button size="small" onClick={() => handleDownloadAttachment(attachment)} sx={{ textTransform: 'none', p: 0 }}>
+                          {attachment.originalName}
+                        </Button>
+                      )}
+                      secondary={`${formatBytes(attachment.size)} • ${attachment.uploadedBy?.username || 'unknown'} • ${new Date(attachment.createdAt).toLocaleString()}`}
+                    />
+                    {openProject.permissions?.includes('update') && (
+                      <ListItemSecondaryAction>
+                        <IconButton edge="end" color="error" onClick={() => handleDeleteAttachment(attachment)}>
+                          <DeleteIcon />
+                        </IconButton>
+                      </ListItemSecondaryAction>
+                    )}
+                  </ListItem>
+                ))}
+              </List>
+            </>
+          )}
+
+          {projectTab === 'discussion' && (
+            <>
+              {comments.length === 0 && (
+                <Typography color="textSecondary">No comments yet. Start the discussion below.</Typography>
+              )}
+              {renderComments()}
+
+              <Divider sx={{ my: 2 }} />
+              {commentForm.parentId && (
+                <Chip
+                  label={`Replying to ${comments.find((comment) => comment._id === commentForm.parentId)?.author?.username || 'comment'}`}
+                  onDelete={() => setCommentForm({ ...commentForm, parentId: null })}
+                  size="small"
+                  sx={{ mb: 1 }}
+                />
+              )}
+              <TextField
+                fullWidth
+                multiline
+                minRows={3}
+                label="Comment"
+                placeholder="Markdown supported. Mention teammates with @username."
+                value={commentForm.body}
+                onChange={(e) => setCommentForm({ ...commentForm, body: e.target.value })}
+              />
+              <Box display="flex" justifyContent="flex-end" mt={1}>
+                <Button variant="contained" onClick={handlePostComment} disabled={!commentForm.body.trim()}>
+                  {commentForm.parentId ? 'Reply' : 'Comment'}
+                </Button>
+              </Box>
+            </>
+          )}
+
+          {projectTab === 'board' && openProject && (
+            <Grid container spacing={2}>
+              {TASK_COLUMNS.map(({ value: column, label }) => {
+                const canEditTasks = openProject.permissions?.includes('update');
+                return (
+                  <Grid item xs={12} sm={6} md={3} key={column}>
+                    <Paper
+                      variant="outlined"
+                      sx={{ p: 1, minHeight: 240, bgcolor: 'grey.50' }}
+                      onDragOver={(e) => canEditTasks && e.preventDefault()}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        handleDropTask(column, columnTasks(column).length);
+                      }}
+                    >
+                      <Box display="flex" alignItems="center" mb={1}>
+                        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+                          {label} ({columnTasks(column).length})
+                        </Typography>
+                        {canEditTasks && (
+                          <IconButton size="small" onClick={() => handleOpenTask(null, column)}>
+                            <AddIcon fontSize="small" />
+                          </IconButton>
+                        )}
+                      </Box>
+                      {columnTasks(column).map((task, index) => (
+                        <Card
+                          key={task._id}
+                          draggable={canEditTasks}
+                          onDragStart={() => setDraggedTaskId(task._id)}
+                          onDragEnd={() => setDraggedTaskId(null)}
+                          onDragOver={(e) => canEditTasks && e.preventDefault()}
+                          onDrop={(e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            handleDropTask(column, index);
+                          }}
+                          onClick={() => canEditTasks && handleOpenTask(task)}
+                          sx={{
+                            mb: 1,
+                            cursor: canEditTasks ? 'grab' : 'default',
+                            opacity: draggedTaskId === task._id ? 0.5 : 1
+                          }}
+                        >
+                          <CardContent sx={{ p: 1, '&:last-child': { pb: 1 } }}>
+                            <Typography variant="body2" fontWeight="bold">{task.title}</Typography>
+                            <Box display="flex" flexWrap="wrap" gap={0.5} mt={0.5}>
+                              <Chip label={task.priority} color={getPriorityColor(task.priority)} size="small" />
+                              {task.dueDate && (
+                                <Chip
+                                  label={new Date(task.dueDate).toLocaleDateString()}
+                                  color={column !== 'done' && new Date(task.dueDate) < new Date() ? 'error' : 'default'}
+                                  variant="outlined"
+                                  size="small"
+                                />
+                              )}
+                            </Box>
+                            <Typography variant="caption" color="textSecondary">
+                              {task.assignee ? task.assignee.username : 'Unassigned'}
+                            </Typography>
+                          </CardContent>
+                        </Card>
+                      ))}
+                    </Paper>
+                  </Grid>
+                );
+              })}
+            </Grid>
+          )}
+
+          {projectTab === 'activity' && (
+            <>
+              {activity.activity.length === 0 && (
+                <Typography color="textSecondary">No activity yet.</Typography>
+              )}
+              <List dense>
+                {activity.activity.map((entry) => (
+                  <ListItem key={entry._id} divider>
+                    <ListItemText
+                      primary={describeActivity(entry)}
+                      secondary={[
+                        new Date(entry.createdAt).toLocaleString(),
+                        entry.details?.reason
+                      ].filter(Boolean).join(' • ')}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+              {activity.page < activity.pages && (
+                <Button onClick={() => fetchActivity(openProject._id, activity.page + 1)}>
+                  Load more
+                </Button>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseProject}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Task Dialog */}
+      <Dialog open={Boolean(taskDialog)} onClose={() => setTaskDialog(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{taskDialog?._id ? 'Edit Task' : 'New Task'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Title"
+            fullWidth
+            variant="outlined"
+            value={taskForm.title}
+            onChange={(e) => setTaskForm({ ...taskForm, title: e.target.value })}
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            margin="dense"
+            label="Description"
+            fullWidth
+            multiline
+            rows={3}
+            variant="outlined"
+            value={taskForm.description}
+            onChange={(e) => setTaskForm({ ...taskForm, description: e.target.value })}
+            sx={{ mb: 2 }}
+          />
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>Assignee</InputLabel>
+            <Select
+              value={taskForm.assignee}
+              label="Assignee"
+              onChange={(e) => setTaskForm({ ...taskForm, assignee: e.target.value })}
+            >
+              <MenuItem value="">Unassigned</MenuItem>
+              {openProject && [openProject.owner, ...(openProject.collaborators || []).map((member) => member.user)]
+                .filter(Boolean)
+                .map((member) => (
+                  <MenuItem key={member._id} value={member._id}>{member.username}</MenuItem>
+                ))}
+            </Select>
+          </FormControl>
+          <Box display="flex" gap={2}>
+            <FormControl fullWidth>
+              <InputLabel>Priority</InputLabel>
+              <Select
+                value={taskForm.priority}
+                label="Priority"
+                onChange={(e) => setTaskForm({ ...taskForm, priority: e.target.value })}
+              >
+                {TASK_PRIORITIES.map((priority) => (
+                  <MenuItem key={priority} value={priority}>{priority}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="Due date"
+              type="date"
+              fullWidth
+              value={taskForm.dueDate}
+              onChange={(e) => setTaskForm({ ...taskForm, dueDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          {taskDialog?._id && (
+            <Button color="error" onClick={handleDeleteTask} sx={{ mr: 'auto' }}>
+              Delete
+            </Button>
+          )}
+          <Button onClick={() => setTaskDialog(null)}>Cancel</Button>
+          <Button onClick={handleSaveTask} variant="contained" disabled={loading || !taskForm.title.trim()}>
+            {taskDialog?._id ? 'Save' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Project Members Dialog */}
+      <Dialog open={Boolean(membersProject)} onClose={handleCloseMembers} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Members{membersProject ? ` of ${membersProject.name}` : ''}
+        </DialogTitle>
+        <DialogContent>
+          <List dense>
+            {members.owner && (
+              <ListItem>
+                <Avatar sx={{ mr: 2 }}>
+                  <StarIcon />
+                </Avatar>
+                <ListItemText primary={members.owner.username} secondary={members.owner.email} />
+                <Chip label="owner" color="primary" size="small" />
+              </ListItem>
+            )}
+            {members.collaborators.map(({ user: member, role }) => (
+              <ListItem key={member._id}>
+                <Avatar sx={{ mr: 2 }}>
+                  <PersonIcon />
+                </Avatar>
+                <ListItemText primary={member.username} secondary={member.email} />
+                {members.permissions.includes('members') && canManageRole(members.role, role) ? (
+                  <Box display="flex" alignItems="center">
+                    <Select
+                      size="small"
+                      value={role}
+                      onChange={(e) => handleChangeMemberRole(member, e.target.value)}
+                    >
+                      {MEMBER_ROLES.filter((option) => canManageRole(members.role, option)).map((option) => (
+                        <MenuItem key={option} value={option}>{option}</MenuItem>
+                      ))}
+                    </Select>
+                    {members.permissions.includes('transfer') && (
+                      <Tooltip title="Transfer ownership">
+                        <IconButton onClick={() => handleTransferOwnership(member)}>
+                          <StarIcon />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    <Tooltip title="Remove member">
+                      <IconButton color="error" onClick={() => handleRemoveMember(member)}>
+                        <PersonRemoveIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                ) : (
+                  <Chip label={role} size="small" />
+                )}
+              </ListItem>
+            ))}
+          </List>
+
+          {members.permissions.includes('members') && (
+            <>
+              {members.invitations.length > 0 && (
+                <>
+                  <Divider sx={{ my: 2 }} />
+                  <Typography variant="subtitle2" gutterBottom>
+                    Pending invitations
+                  </Typography>
+                  <List dense>
+                    {members.invitations.map((invitation) => (
+                      <ListItem key={invitation._id}>
+                        <ListItemText
+                          primary={`${invitation.user?.username} (${invitation.role})`}
+                          secondary={`Invited ${new Date(invitation.createdAt).toLocaleDateString()}`}
+                        />
+                        <ListItemSecondaryAction>
+                          <Tooltip title="Cancel invitation">
+                            <IconButton onClick={() => handleCancelInvitation(invitation._id)}>
+                              <CloseIcon />
+                            </IconButton>
+                          </Tooltip>
+                        </ListItemSecondaryAction>
+                      </ListItem>
+                    ))}
+                  </List>
+                </>
+              )}
+
+              <Divider sx={{ my: 2 }} />
+              <Box display="flex" alignItems="center">
+                <TextField
+                  size="small"
+                  label="Username or email"
+                  fullWidth
+                  value={inviteForm.identifier}
+                  onChange={(e) => setInviteForm({ ...inviteForm, identifier: e.target.value })}
+                />
+                <Select
+                  size="small"
+                  sx={{ ml: 1, minWidth: 120 }}
+                  value={inviteForm.role}
+                  onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                >
+                  {MEMBER_ROLES.filter((option) => canManageRole(members.role, option)).map((option) => (
+                    <MenuItem key={option} value={option}>{option}</MenuItem>
+                  ))}
+                </Select>
+                <Button
+                  sx={{ ml: 1 }}
+                  variant="contained"
+                  startIcon={<PersonAddIcon />}
+                  onClick={handleInviteMember}
+                  disabled={!inviteForm.identifier}
+                >
+                  Invite
+                </Button>
+              </Box>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseMembers}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Active Sessions Dialog */}
+      <Dialog open={sessionsOpen} onClose={() => setSessionsOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Active Sessions</DialogTitle>
+        <DialogContent>
+          <List dense>
+            {sessions.map((session) => (
+              <ListItem key={session._id}>
+                <Avatar sx={{ mr: 2 }}>
+                  <DevicesIcon />
+                </Avatar>
+                <ListItemText
+                  primary={session.userAgent || 'Unknown device'}
+                  secondary={`${session.ip || 'unknown IP'} • last active ${new Date(session.lastUsedAt).toLocaleString()}`}
+                />
+                {session.current && <Chip label="this device" color="primary" size="small" sx={{ mr: 6 }} />}
+                <ListItemSecondaryAction>
+                  <Tooltip title={session.current ? 'Log out' : 'Revoke'}>
+                    <IconButton color="error" onClick={() => handleRevokeSession(session)}>
+                      <CloseIcon />
+                    </IconButton>
+                  </Tooltip>
+                </ListItemSecondaryAction>
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          <Button color="error" onClick={handleRevokeOtherSessions} disabled={sessions.length < 2}>
+            Sign out other devices
+          </Button>
+          <Button onClick={() => setSessionsOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Two-Factor Authentication Dialog */}
+      <Dialog open={twoFactorOpen} onClose={() => setTwoFactorOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Two-Factor Authentication</DialogTitle>
+        <DialogContent>
+          <Box display="flex" alignItems="center" mb={2}>
+            <Typography sx={{ flexGrow: 1 }}>
+              Status:
+            </Typography>
+            <Chip
+              label={twoFactorStatus.enabled ? 'enabled' : 'disabled'}
+              color={twoFactorStatus.enabled ? 'success' : 'default'}
+              size="small"
+            />
+          </Box>
+
+          {recoveryCodes.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              <Typography variant="subtitle2" gutterBottom>
+                Save these recovery codes somewhere safe. Each one works once and they won't be shown again.
+              </Typography>
+              <Box component="pre" sx={{ m: 0, fontFamily: 'monospace' }}>
+                {recoveryCodes.join('\n')}
+              </Box>
+            </Alert>
+          )}
+
+          {!twoFactorStatus.enabled && !twoFactorSetup && (
+            <Button variant="contained" startIcon={<LockIcon />} onClick={handleStartTwoFactorSetup}>
+              Set up authenticator app
+            </Button>
+          )}
+
+          {!twoFactorStatus.enabled && twoFactorSetup && (
+            <>
+              <Typography paragraph>
+                Add this account to your authenticator app by opening the link below on your phone,
+                or by entering the secret manually. Then type the 6-digit code it shows.
+              </Typography>
+              <Typography variant="body2" paragraph sx={{ wordBreak: 'break-all' }}>
+                <a href={twoFactorSetup.otpauthUrl}>{twoFactorSetup.otpauthUrl}</a>
+              </Typography>
+              <Typography variant="body2" paragraph>
+                Secret: <Box component="code" sx={{ fontFamily: 'monospace' }}>{twoFactorSetup.secret}</Box>
+              </Typography>
+              <Box display="flex" alignItems="center">
+                <TextField
+                  size="small"
+                  label="Authentication code"
+                  value={twoFactorManageForm.code}
+                  onChange={(e) => setTwoFactorManageForm({ ...twoFactorManageForm, code: e.target.value })}
+                />
+                <Button
+                  sx={{ ml: 1 }}
+                  variant="contained"
+                  onClick={handleEnableTwoFactor}
+                  disabled={!twoFactorManageForm.code}
+                >
+                  Enable
+                </Button>
+              </Box>
+            </>
+          )}
+
+          {twoFactorStatus.enabled && (
+            <>
+              <Typography variant="body2" color="textSecondary" paragraph>
+                {twoFactorStatus.recoveryCodesRemaining} recovery codes remaining.
+              </Typography>
+              <TextField
+                fullWidth
+                size="small"
+                margin="dense"
+                label="Authentication code"
+                value={twoFactorManageForm.code}
+                onChange={(e) => setTwoFactorManageForm({ ...twoFactorManageForm, code: e.target.value })}
+              />
+              <TextField
+                fullWidth
+                size="small"
+                margin="dense"
+                type="password"
+                label="Password (required to disable)"
+                value={twoFactorManageForm.password}
+                onChange={(e) => setTwoFactorManageForm({ ...twoFactorManageForm, password: e.target.value })}
+              />
+              <Box display="flex" justifyContent="space-between" mt={2}>
+                <Button onClick={handleRegenerateRecoveryCodes} disabled={!twoFactorManageForm.code}>
+                  New recovery codes
+                </Button>
+                <Button
+                  color="error"
+                  onClick={handleDisableTwoFactor}
+                  disabled={!twoFactorManageForm.code || !twoFactorManageForm.password}
+                >
+                  Disable 2FA
+                </Button>
+              </Box>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTwoFactorOpen(false)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Notification Snackbar */}
       <Snackbar
         open={notification.open}
@@ -663,6 +3746,18 @@ function App() {
           onClose={() => setNotification({ ...notification, open: false })} 
           severity={notification.severity}
           variant="filled"
+          action={notification.action && (
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => {
+                setNotification({ ...notification, open: false });
+                notification.action.onClick();
+              }}
+            >
+              {notification.action.label}
+            </Button>
+          )}
         >
           {notification.message}
         </Alert>